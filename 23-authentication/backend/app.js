@@ -1,14 +1,19 @@
 const bodyParser = require('body-parser');
+const cookieParser = require('cookie-parser');
 const express = require('express');
 
 const eventRoutes = require('./routes/events');
 const authRoutes = require('./routes/auth');
+const { FRONTEND_ORIGIN } = require('./util/config');
 
 const app = express();
 
 app.use(bodyParser.json());
+app.use(cookieParser());
+// the refresh token cookie is only sent along by the frontend (credentials), so its origin is allowed explicitly
 app.use((req, res, next) => {
-  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Origin', FRONTEND_ORIGIN);
+  res.setHeader('Access-Control-Allow-Credentials', 'true');
   res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PATCH,DELETE');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization');
   next();
@@ -21,7 +26,7 @@ app.use('/events', eventRoutes);
 app.use((error, req, res, next) => {
   const status = error.status || 500;
   const message = error.message || 'Something went wrong.';
-  res.status(status).json({ message: message });
+  res.status(status).json({ message: message, errors: error.errors });
 });
 
 app.listen(8080);
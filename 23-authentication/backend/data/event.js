@@ -1,7 +1,7 @@
 const { v4: generateId } = require('uuid');
 
 const { NotFoundError } = require('../util/errors');
-const { readData, writeData } = require('./util');
+const { readData, updateData } = require('./util');
 
 async function getAll() {
   const storedData = await readData();
@@ -25,32 +25,41 @@ async function get(id) {
   return event;
 }
 
-async function add(data) {
-  const storedData = await readData();
-  storedData.events.unshift({ ...data, id: generateId() });
-  await writeData(storedData);
+// ownerId : the id of the user who created the event
+function add(data, ownerId) {
+  return updateData((storedData) => {
+    storedData.events.unshift({ ...data, id: generateId(), ownerId });
+    return { data: storedData };
+  });
 }
 
-async function replace(id, data) {
-  const storedData = await readData();
-  if (!storedData.events || storedData.events.length === 0) {
-    throw new NotFoundError('Could not find any events.');
-  }
+function replace(id, data) {
+  return updateData((storedData) => {
+    if (!storedData.events || storedData.events.length === 0) {
+      throw new NotFoundError('Could not find any events.');
+    }
 
-  const index = storedData.events.findIndex((ev) => ev.id === id);
-  if (index < 0) {
-    throw new NotFoundError('Could not find event for id ' + id);
-  }
+    const index = storedData.events.findIndex((ev) => ev.id === id);
+    if (index < 0) {
+      throw new NotFoundError('Could not find event for id ' + id);
+    }
 
-  storedData.events[index] = { ...data, id };
+    // the owner can't be changed by an update
+    storedData.events[index] = {
+      ...data,
+      id,
+      ownerId: storedData.events[index].ownerId,
+    };
 
-  await writeData(storedData);
+    return { data: storedData };
+  });
 }
 
-async function remove(id) {
-  const storedData = await readData();
-  const updatedData = storedData.events.filter((ev) => ev.id !== id);
-  await writeData({ ...storedData, events: updatedData });
+function remove(id) {
+  return updateData((storedData) => {
+    const updatedData = storedData.events.filter((ev) => ev.id !== id);
+    return { data: { ...storedData, events: updatedData } };
+  });
 }
 
 exports.getAll = getAll;
@@ -0,0 +1,59 @@
+const { createHash, randomBytes } = require('node:crypto');
+
+const { updateData } = require('./util');
+
+const RESET_TOKEN_DURATION = 60 * 60 * 1000; // 1 hour
+
+// only a hash of every reset token is stored, the token itself is only sent to the user
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+function isExpired(passwordReset) {
+  return new Date(passwordReset.expiresAt) < new Date();
+}
+
+// returns the new one-time token, earlier tokens of the same user are replaced
+async function add(email) {
+  const token = randomBytes(32).toString('base64url');
+  await updateData((storedData) => {
+    const passwordResets = (storedData.passwordResets || []).filter(
+      (item) => item.email !== email && !isExpired(item)
+    );
+    passwordResets.push({
+      tokenHash: hashToken(token),
+      email,
+      expiresAt: new Date(Date.now() + RESET_TOKEN_DURATION).toISOString(),
+    });
+    return { data: { ...storedData, passwordResets } };
+  });
+  return token;
+}
+
+// removes the token and returns the email it was issued for,
+// returns null if the token is unknown, expired or was used already
+// the token is looked up and removed in one queued update, so it can't be used by two parallel requests
+function consume(token) {
+  return updateData((storedData) => {
+    const passwordResets = storedData.passwordResets || [];
+    const passwordReset = passwordResets.find(
+      (item) => item.tokenHash === hashToken(token)
+    );
+
+    if (!passwordReset) {
+      return { data: storedData, result: null };
+    }
+
+    return {
+      data: {
+        ...storedData,
+        passwordResets: passwordResets.filter((item) => item !== passwordReset),
+      },
+      result: isExpired(passwordReset) ? null : passwordReset.email,
+    };
+  });
+}
+
+exports.RESET_TOKEN_DURATION = RESET_TOKEN_DURATION;
+exports.add = add;
+exports.consume = consume;
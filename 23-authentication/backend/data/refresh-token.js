@@ -0,0 +1,164 @@
+const { createHash, randomBytes } = require('node:crypto');
+const { v4: generateId } = require('uuid');
+
+const { NotAuthError } = require('../util/errors');
+const { updateData } = require('./util');
+
+const REFRESH_TOKEN_DURATION = 7 * 24 * 60 * 60 * 1000; // 7 days
+const ROTATION_GRACE_PERIOD = 30 * 1000; // 30 seconds
+
+// only a hash of every refresh token is stored, so the stored data can't be used to log in
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+// every login starts a new family of refresh tokens, each refresh replaces the token with a new one of the same family.
+// revoked tokens are kept until they expire, so a reused (probably stolen) token can be detected
+function createToken(email, family) {
+  const token = randomBytes(48).toString('base64url');
+  const now = Date.now();
+
+  return {
+    token,
+    storedToken: {
+      tokenHash: hashToken(token),
+      email,
+      family,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + REFRESH_TOKEN_DURATION).toISOString(),
+    },
+  };
+}
+
+function isExpired(storedToken) {
+  return new Date(storedToken.expiresAt) < new Date();
+}
+
+function revokeFamily(refreshTokens, family) {
+  const revokedAt = new Date().toISOString();
+  return refreshTokens.map((storedToken) =>
+    storedToken.family === family && !storedToken.revokedAt
+      ? { ...storedToken, revokedAt }
+      : storedToken
+  );
+}
+
+// returns the new refresh token, it is only known to the client
+async function add(email) {
+  const { token, storedToken } = createToken(email, generateId());
+  await updateData((storedData) => {
+    // expired tokens are of no use anymore, they are removed whenever a new session starts
+    const refreshTokens = (storedData.refreshTokens || []).filter(
+      (item) => !isExpired(item)
+    );
+    refreshTokens.push(storedToken);
+    return { data: { ...storedData, refreshTokens } };
+  });
+  return token;
+}
+
+// a token which was replaced moments ago is usually sent again by another tab of the same browser, which
+// started its refresh before the first one finished. that's not treated as theft as long as the session is still active
+function isWithinGracePeriod(refreshTokens, storedToken) {
+  if (
+    !storedToken.replacedAt ||
+    Date.now() - new Date(storedToken.replacedAt) > ROTATION_GRACE_PERIOD
+  ) {
+    return false;
+  }
+
+  return refreshTokens.some(
+    (item) =>
+      item.family === storedToken.family && !item.revokedAt && !isExpired(item)
+  );
+}
+
+// replaces a valid refresh token with a new one, returns { email, token }
+async function rotate(token) {
+  const result = await updateData((storedData) => {
+    let refreshTokens = storedData.refreshTokens || [];
+    const storedToken = refreshTokens.find(
+      (item) => item.tokenHash === hashToken(token)
+    );
+
+    if (!storedToken || isExpired(storedToken)) {
+      return { data: storedData, result: null };
+    }
+
+    // the token was replaced already, someone else uses it : the whole session is ended
+    if (
+      storedToken.revokedAt &&
+      !isWithinGracePeriod(refreshTokens, storedToken)
+    ) {
+      return {
+        data: {
+          ...storedData,
+          refreshTokens: revokeFamily(refreshTokens, storedToken.family),
+        },
+        result: null,
+      };
+    }
+
+    const newToken = createToken(storedToken.email, storedToken.family);
+    if (!storedToken.revokedAt) {
+      const now = new Date().toISOString();
+      refreshTokens = refreshTokens.map((item) =>
+        item === storedToken
+          ? { ...item, revokedAt: now, replacedAt: now }
+          : item
+      );
+    }
+    refreshTokens.push(newToken.storedToken);
+
+    return {
+      data: { ...storedData, refreshTokens },
+      result: { email: storedToken.email, token: newToken.token },
+    };
+  });
+
+  if (!result) {
+    throw new NotAuthError('Invalid refresh token.');
+  }
+
+  return result;
+}
+
+// ends the session the token belongs to (e.g. on logout), unknown tokens are ignored
+function revoke(token) {
+  return updateData((storedData) => {
+    const refreshTokens = storedData.refreshTokens || [];
+    const storedToken = refreshTokens.find(
+      (item) => item.tokenHash === hashToken(token)
+    );
+
+    if (!storedToken) {
+      return { data: storedData };
+    }
+
+    return {
+      data: {
+        ...storedData,
+        refreshTokens: revokeFamily(refreshTokens, storedToken.family),
+      },
+    };
+  });
+}
+
+// ends every session of a user, e.g. after the password was changed
+function revokeAllForEmail(email) {
+  return updateData((storedData) => {
+    const revokedAt = new Date().toISOString();
+    const refreshTokens = (storedData.refreshTokens || []).map((storedToken) =>
+      storedToken.email === email && !storedToken.revokedAt
+        ? { ...storedToken, revokedAt }
+        : storedToken
+    );
+    return { data: { ...storedData, refreshTokens } };
+  });
+}
+
+exports.REFRESH_TOKEN_DURATION = REFRESH_TOKEN_DURATION;
+exports.add = add;
+exports.rotate = rotate;
+exports.revoke = revoke;
+exports.revokeAllForEmail = revokeAllForEmail;
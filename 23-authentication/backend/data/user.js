@@ -2,18 +2,42 @@ const { hash } = require('bcryptjs');
 const { v4: generateId } = require('uuid');
 
 const { NotFoundError } = require('../util/errors');
-const { readData, writeData } = require('./util');
+const { normalizeEmail } = require('../util/validation');
+const { readData, updateData } = require('./util');
+
+// viewers can only look at events, organizers manage their own events and admins manage all events.
+// new users are organizers, admins are appointed by changing the role of a user in events.json
+const ROLES = ['admin', 'organizer', 'viewer'];
+const DEFAULT_ROLE = 'organizer';
+
+// the email is stored normalized, users stored before that are still found with any case
+function hasEmail(user, email) {
+  return normalizeEmail(user.email) === normalizeEmail(email);
+}
+
+// users stored before roles were introduced are organizers
+function withRole(user) {
+  return { ...user, role: user.role || DEFAULT_ROLE };
+}
 
 async function add(data) {
-  const storedData = await readData();
+  const email = normalizeEmail(data.email);
   const userId = generateId();
+  // hashing is slow, so it happens before the queued update
   const hashedPw = await hash(data.password, 12);
-  if (!storedData.users) {
-    storedData.users = [];
-  }
-  storedData.users.push({ ...data, password: hashedPw, id: userId });
-  await writeData(storedData);
-  return { id: userId, email: data.email };
+  await updateData((storedData) => {
+    if (!storedData.users) {
+      storedData.users = [];
+    }
+    storedData.users.push({
+      email,
+      password: hashedPw,
+      id: userId,
+      role: DEFAULT_ROLE,
+    });
+    return { data: storedData };
+  });
+  return { id: userId, email, role: DEFAULT_ROLE };
 }
 
 async function get(email) {
@@ -22,13 +46,28 @@ async function get(email) {
     throw new NotFoundError('Could not find any users.');
   }
 
-  const user = storedData.users.find((ev) => ev.email === email);
+  const user = storedData.users.find((item) => hasEmail(item, email));
   if (!user) {
     throw new NotFoundError('Could not find user for email ' + email);
   }
 
-  return user;
+  return withRole(user);
+}
+
+async function updatePassword(email, password) {
+  const hashedPw = await hash(password, 12);
+  await updateData((storedData) => {
+    const user = (storedData.users || []).find((item) => hasEmail(item, email));
+    if (!user) {
+      throw new NotFoundError('Could not find user for email ' + email);
+    }
+
+    user.password = hashedPw;
+    return { data: storedData };
+  });
 }
 
+exports.ROLES = ROLES;
 exports.add = add;
 exports.get = get;
+exports.updatePassword = updatePassword;
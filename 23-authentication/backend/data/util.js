@@ -1,13 +1,37 @@
+const { randomUUID } = require('node:crypto');
 const fs = require('node:fs/promises');
 
+const DATA_FILE = 'events.json';
+
 async function readData() {
-  const data = await fs.readFile('events.json', 'utf8');
+  const data = await fs.readFile(DATA_FILE, 'utf8');
   return JSON.parse(data);
 }
 
+// the data is written to a temporary file first and then renamed,
+// so readers never see a half written file
 async function writeData(data) {
-  await fs.writeFile('events.json', JSON.stringify(data));
+  const tempFile = `.${DATA_FILE}.${randomUUID()}.tmp`;
+  await fs.writeFile(tempFile, JSON.stringify(data));
+  await fs.rename(tempFile, DATA_FILE);
+}
+
+// events, users and sessions share one file, so every change has to wait for the previous one to finish.
+// otherwise two requests could read the same state and the later write would undo the earlier change
+let queue = Promise.resolve();
+
+// updateFn receives the stored data and returns { data, result } : data is stored and result is returned.
+// if updateFn throws, nothing is stored
+function updateData(updateFn) {
+  const update = queue.then(async () => {
+    const { data, result } = await updateFn(await readData());
+    await writeData(data);
+    return result;
+  });
+  // a failed update must not block the ones queued after it
+  queue = update.catch(() => {});
+  return update;
 }
 
 exports.readData = readData;
-exports.writeData = writeData;
\ No newline at end of file
+exports.updateData = updateData;
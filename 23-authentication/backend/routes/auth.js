@@ -1,17 +1,59 @@
 const express = require('express');
-const { add, get } = require('../data/user');
-const { createJSONToken, isValidPassword } = require('../util/auth');
-const { isValidEmail, isValidText } = require('../util/validation');
+const { hashSync } = require('bcryptjs');
+const { add, get, updatePassword } = require('../data/user');
+const refreshTokens = require('../data/refresh-token');
+const passwordResets = require('../data/password-reset');
+const {
+  TOKEN_DURATION,
+  createJSONToken,
+  isValidPassword,
+  setRefreshTokenCookie,
+  clearRefreshTokenCookie,
+  getRefreshToken,
+} = require('../util/auth');
+const { FRONTEND_ORIGIN } = require('../util/config');
+const { sendMail } = require('../util/mailer');
+const { logAuthEvent } = require('../util/audit-log');
+const loginThrottle = require('../util/login-throttle');
+const { ValidationError } = require('../util/errors');
+const {
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  signupSchema,
+  validate,
+} = require('../util/validation');
 
 const router = express.Router();
 
+// unknown emails are checked against this hash, so they take as long as wrong passwords
+const DUMMY_PASSWORD_HASH = hashSync('not-a-real-password', 12);
+
+function sendTooManyAttempts(
+  res,
+  retryAfter,
+  message = 'Too many failed login attempts.'
+) {
+  const seconds = Math.ceil(retryAfter / 1000);
+  res.set('Retry-After', String(seconds));
+  res.status(429).json({ message, retryAfter: seconds });
+}
+
+// every login (and signup) starts a new session : a short-lived access token is sent in the response,
+// the refresh token is set as cookie and can be exchanged for a new access token via /refresh
+async function startSession(res, user) {
+  const refreshToken = await refreshTokens.add(user.email);
+  setRefreshTokenCookie(
+    res,
+    refreshToken,
+    refreshTokens.REFRESH_TOKEN_DURATION
+  );
+  return { token: createJSONToken(user), expiresIn: TOKEN_DURATION };
+}
+
 router.post('/signup', async (req, res, next) => {
-  const data = req.body;
-  let errors = {};
+  const { data, errors } = validate(signupSchema, req.body);
 
-  if (!isValidEmail(data.email)) {
-    errors.email = 'Invalid email.';
-  } else {
+  if (!errors.email) {
     try {
       const existingUser = await get(data.email);
       if (existingUser) {
@@ -20,49 +62,219 @@ router.post('/signup', async (req, res, next) => {
     } catch (error) {}
   }
 
-  if (!isValidText(data.password, 6)) {
-    errors.password = 'Invalid password. Must be at least 6 characters long.';
-  }
-
   if (Object.keys(errors).length > 0) {
-    return res.status(422).json({
-      message: 'User signup failed due to validation errors.',
-      errors,
-    });
+    return next(
+      new ValidationError(
+        'User signup failed due to validation errors.',
+        errors
+      )
+    );
   }
 
   try {
     const createdUser = await add(data);
-    const authToken = createJSONToken(createdUser.email);
+    await logAuthEvent('signup', req, { email: createdUser.email });
+    const session = await startSession(res, createdUser);
     res
       .status(201)
-      .json({ message: 'User created.', user: createdUser, token: authToken });
+      .json({ message: 'User created.', user: createdUser, ...session });
   } catch (error) {
     next(error);
   }
 });
 
-router.post('/login', async (req, res) => {
-  const email = req.body.email;
-  const password = req.body.password;
+// unknown emails and wrong passwords get the same response, so it can't be used to find out who has an account.
+// repeated failures are slowed down and lead to a temporary lockout (see util/login-throttle.js)
+router.post('/login', async (req, res, next) => {
+  const email = typeof req.body.email === 'string' ? req.body.email : '';
+  const password =
+    typeof req.body.password === 'string' ? req.body.password : '';
+
+  const retryAfter = loginThrottle.getRetryAfter(req.ip, email);
+  if (retryAfter > 0) {
+    await logAuthEvent('login.blocked', req, { email });
+    return sendTooManyAttempts(res, retryAfter);
+  }
 
   let user;
   try {
     user = await get(email);
-  } catch (error) {
-    return res.status(401).json({ message: 'Authentication failed.' });
-  }
+  } catch (error) {}
+
+  const pwIsValid = await isValidPassword(
+    password,
+    user ? user.password : DUMMY_PASSWORD_HASH
+  );
+
+  if (!user || !pwIsValid) {
+    const { locked } = loginThrottle.recordFailure(req.ip, email);
+    await logAuthEvent('login.failed', req, {
+      email,
+      reason: user ? 'wrong-password' : 'unknown-email',
+    });
+    if (locked) {
+      await logAuthEvent('login.locked', req, { email });
+    }
 
-  const pwIsValid = await isValidPassword(password, user.password);
-  if (!pwIsValid) {
     return res.status(422).json({
       message: 'Invalid credentials.',
       errors: { credentials: 'Invalid email or password entered.' },
     });
   }
 
-  const token = createJSONToken(email);
-  res.json({ token });
+  loginThrottle.recordSuccess(email);
+  await logAuthEvent('login.succeeded', req, { email: user.email });
+
+  try {
+    const session = await startSession(res, user);
+    res.json(session);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// the refresh token is rotated : every refresh returns a new one and the old one is revoked
+router.post('/refresh', async (req, res, next) => {
+  const refreshToken = getRefreshToken(req);
+
+  if (!refreshToken) {
+    return res.status(401).json({ message: 'Not authenticated.' });
+  }
+
+  try {
+    const { email, token } = await refreshTokens.rotate(refreshToken);
+    // the user is loaded again, so a changed role is part of the new token
+    const user = await get(email);
+    setRefreshTokenCookie(res, token, refreshTokens.REFRESH_TOKEN_DURATION);
+    res.json({ token: createJSONToken(user), expiresIn: TOKEN_DURATION });
+  } catch (error) {
+    clearRefreshTokenCookie(res);
+    await logAuthEvent('refresh.failed', req, { reason: error.message });
+    next(error);
+  }
+});
+
+router.post('/logout', async (req, res, next) => {
+  const refreshToken = getRefreshToken(req);
+
+  try {
+    if (refreshToken) {
+      await refreshTokens.revoke(refreshToken);
+    }
+    clearRefreshTokenCookie(res);
+    await logAuthEvent('logout', req);
+    res.json({ message: 'Logged out.' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// the response is the same for unknown emails, so it can't be used to find out who has an account
+// every request counts against the IP address and the email (like failed logins), so it can't be used to flood
+// a mailbox. the response is sent before the user is looked up, so its timing doesn't tell whether the account exists
+router.post('/forgot-password', async (req, res, next) => {
+  const { data, errors } = validate(forgotPasswordSchema, req.body);
+  const email = data.email;
+
+  if (Object.keys(errors).length > 0) {
+    return next(
+      new ValidationError(
+        'Requesting a password reset failed due to validation errors.',
+        errors
+      )
+    );
+  }
+
+  const retryAfter = loginThrottle.getRetryAfter(
+    req.ip,
+    email,
+    'password-reset'
+  );
+  if (retryAfter > 0) {
+    return sendTooManyAttempts(
+      res,
+      retryAfter,
+      'Too many password reset requests.'
+    );
+  }
+  loginThrottle.recordFailure(req.ip, email, 'password-reset');
+
+  res.json({
+    message:
+      'If an account exists for this email, a link to reset the password was sent.',
+  });
+
+  sendPasswordResetMail(req, email).catch((error) => {
+    console.log('Could not send the password reset mail.', error);
+  });
+});
+
+async function sendPasswordResetMail(req, email) {
+  let user;
+  try {
+    user = await get(email);
+  } catch (error) {}
+
+  await logAuthEvent('password-reset.requested', req, {
+    email,
+    known: Boolean(user),
+  });
+
+  if (!user) {
+    return;
+  }
+
+  const token = await passwordResets.add(user.email);
+  const resetUrl = `${FRONTEND_ORIGIN}/reset-password?token=${token}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      'Someone asked to reset the password of your account.',
+      `Choose a new password here (the link is valid for ${passwordResets.RESET_TOKEN_DURATION / 60000} minutes):`,
+      resetUrl,
+      '',
+      'If that was not you, you can ignore this mail.',
+    ].join('\n'),
+  });
+}
+
+// the token can only be used once, all sessions of the user end when the password changed
+router.post('/reset-password', async (req, res, next) => {
+  const { data, errors } = validate(resetPasswordSchema, req.body);
+  const { token, password } = data;
+
+  if (Object.keys(errors).length > 0) {
+    return next(
+      new ValidationError(
+        'Resetting the password failed due to validation errors.',
+        errors
+      )
+    );
+  }
+
+  try {
+    const email = await passwordResets.consume(token);
+
+    if (!email) {
+      return next(
+        new ValidationError(
+          'Resetting the password failed due to validation errors.',
+          {
+            token:
+              'The reset link is invalid or expired, please request a new one.',
+          }
+        )
+      );
+    }
+
+    await updatePassword(email, password);
+    await refreshTokens.revokeAllForEmail(email);
+    await logAuthEvent('password-reset.completed', req, { email });
+    res.json({ message: 'Password changed.' });
+  } catch (error) {
+    next(error);
+  }
 });
 
 module.exports = router;
@@ -1,12 +1,9 @@
 const express = require('express');
 
 const { getAll, get, add, replace, remove } = require('../data/event');
-const { checkAuth } = require('../util/auth');
-const {
-  isValidText,
-  isValidDate,
-  isValidImageUrl,
-} = require('../util/validation');
+const { checkAuth, requireRole, requireOwnership } = require('../util/auth');
+const { ValidationError } = require('../util/errors');
+const { eventSchema, validate } = require('../util/validation');
 
 const router = express.Router();
 
@@ -31,69 +28,44 @@ router.get('/:id', async (req, res, next) => {
 
 router.use(checkAuth);
 
-router.post('/', async (req, res, next) => {
-  console.log(req.token);
-  const data = req.body;
-
-  let errors = {};
-
-  if (!isValidText(data.title)) {
-    errors.title = 'Invalid title.';
-  }
-
-  if (!isValidText(data.description)) {
-    errors.description = 'Invalid description.';
-  }
-
-  if (!isValidDate(data.date)) {
-    errors.date = 'Invalid date.';
-  }
+// viewers can't manage events, organizers only the events they created
+const canManageEvents = requireRole('admin', 'organizer');
+const ownsEvent = requireOwnership(
+  async (req) => (await get(req.params.id)).ownerId
+);
 
-  if (!isValidImageUrl(data.image)) {
-    errors.image = 'Invalid image.';
-  }
+router.post('/', canManageEvents, async (req, res, next) => {
+  console.log(req.token);
+  // only the fields of the schema are stored
+  const { data, errors } = validate(eventSchema, req.body);
 
   if (Object.keys(errors).length > 0) {
-    return res.status(422).json({
-      message: 'Adding the event failed due to validation errors.',
-      errors,
-    });
+    return next(
+      new ValidationError(
+        'Adding the event failed due to validation errors.',
+        errors
+      )
+    );
   }
 
   try {
-    await add(data);
+    await add(data, req.token.userId);
     res.status(201).json({ message: 'Event saved.', event: data });
   } catch (error) {
     next(error);
   }
 });
 
-router.patch('/:id', async (req, res, next) => {
-  const data = req.body;
-
-  let errors = {};
-
-  if (!isValidText(data.title)) {
-    errors.title = 'Invalid title.';
-  }
-
-  if (!isValidText(data.description)) {
-    errors.description = 'Invalid description.';
-  }
-
-  if (!isValidDate(data.date)) {
-    errors.date = 'Invalid date.';
-  }
-
-  if (!isValidImageUrl(data.image)) {
-    errors.image = 'Invalid image.';
-  }
+router.patch('/:id', canManageEvents, ownsEvent, async (req, res, next) => {
+  const { data, errors } = validate(eventSchema, req.body);
 
   if (Object.keys(errors).length > 0) {
-    return res.status(422).json({
-      message: 'Updating the event failed due to validation errors.',
-      errors,
-    });
+    return next(
+      new ValidationError(
+        'Updating the event failed due to validation errors.',
+        errors
+      )
+    );
   }
 
   try {
@@ -104,7 +76,7 @@ router.patch('/:id', async (req, res, next) => {
   }
 });
 
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id', canManageEvents, ownsEvent, async (req, res, next) => {
   try {
     await remove(req.params.id);
     res.json({ message: 'Event deleted.' });
@@ -0,0 +1,27 @@
+const fs = require('node:fs/promises');
+const path = require('node:path');
+
+const LOG_DIRECTORY = path.join(__dirname, '..', 'logs');
+const LOG_FILE = path.join(LOG_DIRECTORY, 'auth.log');
+
+// appends one JSON line per auth event (e.g. login.failed) to logs/auth.log.
+// details must not contain passwords or tokens.
+// a failing log write is reported but doesn't fail the request
+async function logAuthEvent(type, req, details = {}) {
+  const entry = {
+    time: new Date().toISOString(),
+    type,
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    ...details,
+  };
+
+  try {
+    await fs.mkdir(LOG_DIRECTORY, { recursive: true });
+    await fs.appendFile(LOG_FILE, JSON.stringify(entry) + '\n');
+  } catch (error) {
+    console.log('Could not write the audit log.', error);
+  }
+}
+
+exports.logAuthEvent = logAuthEvent;
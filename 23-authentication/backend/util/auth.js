@@ -1,11 +1,40 @@
 const { sign, verify } = require('jsonwebtoken');
 const { compare } = require('bcryptjs');
-const { NotAuthError } = require('./errors');
+const { NotAuthError, ForbiddenError } = require('./errors');
 
 const KEY = 'supersecret';
+// access tokens are short-lived, the frontend renews them with the refresh token cookie
+const TOKEN_DURATION = 15 * 60; // in seconds
+const REFRESH_TOKEN_COOKIE = 'refreshToken';
 
-function createJSONToken(email) {
-  return sign({ email }, KEY, { expiresIn: '1h' });
+// the role is part of the token, so the frontend can hide what the user isn't allowed to do
+function createJSONToken(user) {
+  return sign({ email: user.email, userId: user.id, role: user.role }, KEY, {
+    expiresIn: TOKEN_DURATION,
+  });
+}
+
+// the refresh token can't be read by scripts (httpOnly). the browser sends it along with every request to the backend,
+// but only the auth routes use it
+function setRefreshTokenCookie(res, token, maxAge) {
+  res.cookie(REFRESH_TOKEN_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge,
+  });
+}
+
+function clearRefreshTokenCookie(res) {
+  res.clearCookie(REFRESH_TOKEN_COOKIE, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: process.env.NODE_ENV === 'production',
+  });
+}
+
+function getRefreshToken(req) {
+  return req.cookies[REFRESH_TOKEN_COOKIE];
 }
 
 function validateJSONToken(token) {
@@ -41,7 +70,45 @@ function checkAuthMiddleware(req, res, next) {
   next();
 }
 
+// checkAuth has to run before the following middleware, they rely on req.token
+
+// only lets users with one of the given roles pass
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!roles.includes(req.token.role)) {
+      return next(new ForbiddenError('Not authorized.'));
+    }
+    next();
+  };
+}
+
+// getOwnerId(req) resolves with the id of the user who owns the requested resource.
+// admins may change every resource, resources without owner can only be changed by admins
+function requireOwnership(getOwnerId) {
+  return async (req, res, next) => {
+    if (req.token.role === 'admin') {
+      return next();
+    }
+
+    try {
+      const ownerId = await getOwnerId(req);
+      if (!ownerId || ownerId !== req.token.userId) {
+        return next(new ForbiddenError('Not authorized.'));
+      }
+    } catch (error) {
+      return next(error);
+    }
+    next();
+  };
+}
+
+exports.TOKEN_DURATION = TOKEN_DURATION;
 exports.createJSONToken = createJSONToken;
+exports.setRefreshTokenCookie = setRefreshTokenCookie;
+exports.clearRefreshTokenCookie = clearRefreshTokenCookie;
+exports.getRefreshToken = getRefreshToken;
 exports.validateJSONToken = validateJSONToken;
 exports.isValidPassword = isValidPassword;
 exports.checkAuth = checkAuthMiddleware;
+exports.requireRole = requireRole;
+exports.requireOwnership = requireOwnership;
@@ -0,0 +1,4 @@
+// the URL of the frontend, it is allowed to send the refresh token cookie and emails link to it
+const FRONTEND_ORIGIN = process.env.FRONTEND_ORIGIN || 'http://localhost:3000';
+
+exports.FRONTEND_ORIGIN = FRONTEND_ORIGIN;
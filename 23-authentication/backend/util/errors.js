@@ -12,5 +12,23 @@ class NotAuthError {
   }
 }
 
+class ForbiddenError {
+  constructor(message) {
+    this.message = message;
+    this.status = 403;
+  }
+}
+
+// errors : { [field]: message }, sent along so the frontend can show them next to the fields
+class ValidationError {
+  constructor(message, errors) {
+    this.message = message;
+    this.errors = errors;
+    this.status = 422;
+  }
+}
+
 exports.NotFoundError = NotFoundError;
-exports.NotAuthError = NotAuthError;
\ No newline at end of file
+exports.NotAuthError = NotAuthError;
+exports.ForbiddenError = ForbiddenError;
+exports.ValidationError = ValidationError;
@@ -0,0 +1,117 @@
+const { normalizeEmail } = require('./validation');
+
+// failed logins are counted per IP address and per account (kept in memory, a restart resets them).
+// after a few free attempts, every further failure doubles the time until the next attempt is allowed,
+// once too many attempts failed the IP address or account is locked for a while.
+// the scope keeps other requests which are limited the same way (e.g. password reset requests) apart from the logins
+const POLICIES = {
+  account: {
+    freeAttempts: 3,
+    maxFailures: 10,
+  },
+  // several people may share an IP address, so it gets more attempts than a single account
+  ip: {
+    freeAttempts: 10,
+    maxFailures: 50,
+  },
+};
+
+const BASE_DELAY = 1000; // 1 second
+const MAX_DELAY = 5 * 60 * 1000; // 5 minutes
+const LOCKOUT_DURATION = 15 * 60 * 1000; // 15 minutes
+// failures are forgotten if there was no failed attempt for this long
+const FAILURE_WINDOW = 60 * 60 * 1000; // 1 hour
+
+const SWEEP_INTERVAL = 10 * 60 * 1000; // 10 minutes
+// someone trying many different emails could otherwise fill the memory
+const MAX_ENTRIES = 100000;
+
+// key -> { failures, lastFailureAt, blockedUntil }, ordered by the last failure (the oldest first)
+const attempts = new Map();
+
+// removes the entries whose failures are forgotten anyway
+function sweep() {
+  const now = Date.now();
+  for (const [key, entry] of attempts) {
+    if (now - entry.lastFailureAt > FAILURE_WINDOW) {
+      attempts.delete(key);
+    }
+  }
+}
+
+// unref : the timer doesn't keep the process running
+setInterval(sweep, SWEEP_INTERVAL).unref();
+
+function getKeys(ip, email, scope) {
+  const keys = [{ key: `${scope}:ip:${ip}`, policy: POLICIES.ip }];
+  if (email) {
+    keys.push({
+      key: `${scope}:account:${normalizeEmail(email)}`,
+      policy: POLICIES.account,
+    });
+  }
+  return keys;
+}
+
+function getEntry(key, now) {
+  const entry = attempts.get(key);
+  if (!entry || now - entry.lastFailureAt > FAILURE_WINDOW) {
+    attempts.delete(key);
+    return null;
+  }
+  return entry;
+}
+
+// returns the number of milliseconds until the next attempt is allowed (0 if it is allowed right away)
+function getRetryAfter(ip, email, scope = 'login') {
+  const now = Date.now();
+
+  return Math.max(
+    0,
+    ...getKeys(ip, email, scope).map(({ key }) => {
+      const entry = getEntry(key, now);
+      return entry ? entry.blockedUntil - now : 0;
+    })
+  );
+}
+
+// returns { retryAfter, locked } - locked is true if this failure locked the account or IP address
+function recordFailure(ip, email, scope = 'login') {
+  const now = Date.now();
+  let locked = false;
+
+  for (const { key, policy } of getKeys(ip, email, scope)) {
+    const entry = getEntry(key, now) || { failures: 0, blockedUntil: 0 };
+    entry.failures++;
+    entry.lastFailureAt = now;
+
+    if (entry.failures >= policy.maxFailures) {
+      // every further failure locks again, until the failures are forgotten
+      entry.blockedUntil = now + LOCKOUT_DURATION;
+      locked = true;
+    } else if (entry.failures > policy.freeAttempts) {
+      const delay =
+        BASE_DELAY * 2 ** (entry.failures - policy.freeAttempts - 1);
+      entry.blockedUntil = now + Math.min(delay, MAX_DELAY);
+    }
+
+    // the entry is added again, so it moves to the end of the map
+    attempts.delete(key);
+    if (attempts.size >= MAX_ENTRIES) {
+      attempts.delete(attempts.keys().next().value);
+    }
+    attempts.set(key, entry);
+  }
+
+  return { retryAfter: getRetryAfter(ip, email, scope), locked };
+}
+
+// a successful login resets the failures of the account.
+// the failures of the IP address are kept, otherwise logging into an own account would reset them
+function recordSuccess(email) {
+  attempts.delete(`login:account:${normalizeEmail(email)}`);
+}
+
+exports.getRetryAfter = getRetryAfter;
+exports.recordFailure = recordFailure;
+exports.recordSuccess = recordSuccess;
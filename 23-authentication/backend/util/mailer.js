@@ -0,0 +1,40 @@
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const { v4: generateId } = require('uuid');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'no-reply@events.local';
+const OUTBOX_DIRECTORY = path.join(__dirname, '..', 'outbox');
+
+// a transport delivers a mail ({ from, to, subject, text }) and returns a promise.
+// in development, mails are written to the outbox directory instead of being sent,
+// a real transport (e.g. SMTP) can be plugged in with setTransport
+function createOutboxTransport(directory) {
+  return async (mail) => {
+    await fs.mkdir(directory, { recursive: true });
+    const content = [
+      `From: ${mail.from}`,
+      `To: ${mail.to}`,
+      `Subject: ${mail.subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      '',
+      mail.text,
+    ].join('\n');
+    const fileName = `${Date.now()}-${generateId()}.eml`;
+    await fs.writeFile(path.join(directory, fileName), content);
+    console.log(`Mail to ${mail.to} written to outbox/${fileName}`);
+  };
+}
+
+let transport = createOutboxTransport(OUTBOX_DIRECTORY);
+
+function setTransport(newTransport) {
+  transport = newTransport;
+}
+
+function sendMail({ to, subject, text }) {
+  return transport({ from: MAIL_FROM, to, subject, text });
+}
+
+exports.createOutboxTransport = createOutboxTransport;
+exports.setTransport = setTransport;
+exports.sendMail = sendMail;
@@ -1,21 +1,189 @@
-function isValidText(value, minLength = 1) {
-  return value && value.trim().length >= minLength;
+// the field checks return true if the value is valid. values which aren't strings are invalid,
+// the request body is parsed JSON and may contain anything
+
+function isValidText(value, minLength = 1, maxLength = Infinity) {
+  if (typeof value !== 'string') {
+    return false;
+  }
+  const length = value.trim().length;
+  return length >= minLength && length <= maxLength;
+}
+
+// dot-atom local part and a domain with at least two labels (RFC 5321/5322 without quoted strings,
+// comments and IP address literals, which no real signup uses)
+const EMAIL_LOCAL_PART =
+  /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/i;
+const DOMAIN_LABEL = /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/i;
+
+// emails are compared without case and surrounding spaces, Ann@Example.com and ann@example.com are the same account
+function normalizeEmail(value) {
+  return typeof value === 'string' ? value.trim().toLowerCase() : value;
 }
 
+function isValidEmail(value) {
+  if (typeof value !== 'string' || value.length > 254) {
+    return false;
+  }
+
+  const atIndex = value.lastIndexOf('@');
+  const localPart = value.slice(0, atIndex);
+  const labels = value.slice(atIndex + 1).split('.');
+
+  return (
+    atIndex > 0 &&
+    localPart.length <= 64 &&
+    EMAIL_LOCAL_PART.test(localPart) &&
+    labels.length >= 2 &&
+    labels.every((label) => DOMAIN_LABEL.test(label)) &&
+    // the top level domain is never numeric
+    /[a-z]/i.test(labels[labels.length - 1])
+  );
+}
+
+// an ISO 8601 calendar date (YYYY-MM-DD, as sent by <input type="date">).
+// the date is built again from its parts, so e.g. 2024-02-30 isn't silently turned into March 1st
 function isValidDate(value) {
-  const date = new Date(value);
-  return value && date !== 'Invalid Date';
+  if (typeof value !== 'string') {
+    return false;
+  }
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) {
+    return false;
+  }
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+
+  return (
+    date.getUTCFullYear() === year &&
+    date.getUTCMonth() === month - 1 &&
+    date.getUTCDate() === day
+  );
+}
+
+// protocols : the allowed protocols, e.g. javascript: or data: URLs are rejected by default
+function isValidUrl(value, protocols = ['http:', 'https:']) {
+  if (typeof value !== 'string' || value.length > 2048) {
+    return false;
+  }
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return false;
+  }
+
+  return protocols.includes(url.protocol) && url.hostname.length > 0;
 }
 
 function isValidImageUrl(value) {
-  return value && value.startsWith('http');
+  return isValidUrl(value);
 }
 
-function isValidEmail(value) {
-  return value && value.includes('@');
+const PASSWORD_MIN_LENGTH = 8;
+// bcrypt only uses the first 72 bytes of a password
+const PASSWORD_MAX_BYTES = 72;
+const COMMON_PASSWORDS = [
+  'password',
+  'password1',
+  'password123',
+  '12345678',
+  '123456789',
+  '1234567890',
+  'qwertyuiop',
+  'qwerty123',
+  '11111111',
+  'iloveyou',
+  'letmein1',
+  'welcome1',
+  'admin123',
+];
+
+// returns the reason why the password is too weak, or null if it is strong enough.
+// email : the password must not contain the name of the account
+function checkPasswordStrength(password, email) {
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    return `Invalid password. Must be at least ${PASSWORD_MIN_LENGTH} characters long.`;
+  }
+
+  if (Buffer.byteLength(password) > PASSWORD_MAX_BYTES) {
+    return `Invalid password. Must be at most ${PASSWORD_MAX_BYTES} bytes long.`;
+  }
+
+  if (!/[a-z]/i.test(password) || !/[0-9]/.test(password)) {
+    return 'Invalid password. Must contain letters and numbers.';
+  }
+
+  const accountName =
+    typeof email === 'string' ? email.split('@')[0].toLowerCase() : '';
+  if (
+    COMMON_PASSWORDS.includes(password.toLowerCase()) ||
+    (accountName.length >= 3 && password.toLowerCase().includes(accountName))
+  ) {
+    return 'Invalid password. It is too easy to guess.';
+  }
+
+  return null;
+}
+
+// a schema maps every accepted field to a check, which returns an error message if the value is invalid.
+// the checks also receive the whole input, e.g. the password check needs the email
+const signupSchema = {
+  email: (value) => (isValidEmail(value) ? null : 'Invalid email.'),
+  password: (value, input) => checkPasswordStrength(value, input.email),
+};
+
+const forgotPasswordSchema = {
+  email: signupSchema.email,
+};
+
+// the account is only known once the token was consumed (which can't be undone),
+// so the password isn't compared with the email here
+const resetPasswordSchema = {
+  token: (value) =>
+    isValidText(value)
+      ? null
+      : 'The reset link is invalid or expired, please request a new one.',
+  password: (value) => checkPasswordStrength(value),
+};
+
+const eventSchema = {
+  title: (value) => (isValidText(value, 1, 200) ? null : 'Invalid title.'),
+  description: (value) =>
+    isValidText(value, 1, 5000) ? null : 'Invalid description.',
+  date: (value) => (isValidDate(value) ? null : 'Invalid date.'),
+  image: (value) => (isValidImageUrl(value) ? null : 'Invalid image.'),
+};
+
+// returns { data, errors } : data only has the fields of the schema (anything else in the input is dropped),
+// errors maps the invalid fields to their messages and is empty if the input is valid
+function validate(schema, input) {
+  const source = input && typeof input === 'object' ? input : {};
+  const data = {};
+  const errors = {};
+
+  for (const [field, check] of Object.entries(schema)) {
+    data[field] = source[field];
+    const error = check(source[field], source);
+    if (error) {
+      errors[field] = error;
+    }
+  }
+
+  return { data, errors };
 }
 
 exports.isValidText = isValidText;
 exports.isValidDate = isValidDate;
+exports.isValidUrl = isValidUrl;
 exports.isValidImageUrl = isValidImageUrl;
-exports.isValidEmail = isValidEmail;
\ No newline at end of file
+exports.isValidEmail = isValidEmail;
+exports.normalizeEmail = normalizeEmail;
+exports.checkPasswordStrength = checkPasswordStrength;
+exports.signupSchema = signupSchema;
+exports.forgotPasswordSchema = forgotPasswordSchema;
+exports.resetPasswordSchema = resetPasswordSchema;
+exports.eventSchema = eventSchema;
+exports.validate = validate;
@@ -17,7 +17,17 @@ import AuthenticationPage, {
   action as authAction,
 } from "./pages/Authentication";
 import { action as logoutAction } from "./pages/Logout";
-import { checkAuthLoader, tokenLoader } from "./util/auth";
+import ForgotPasswordPage, {
+  action as forgotPasswordAction,
+} from "./pages/ForgotPassword";
+import ResetPasswordPage, {
+  action as resetPasswordAction,
+} from "./pages/ResetPassword";
+import {
+  checkEventOwnerLoader,
+  checkOrganizerLoader,
+  tokenLoader,
+} from "./util/auth";
 
 const router = createBrowserRouter([
   {
@@ -37,6 +47,16 @@ const router = createBrowserRouter([
         path: "logout",
         action: logoutAction,
       },
+      {
+        path: "forgot-password",
+        element: <ForgotPasswordPage />,
+        action: forgotPasswordAction,
+      },
+      {
+        path: "reset-password",
+        element: <ResetPasswordPage />,
+        action: resetPasswordAction,
+      },
       {
         path: "events",
         element: <EventsRootLayout />,
@@ -60,7 +80,7 @@ const router = createBrowserRouter([
                 path: "edit",
                 element: <EditEventPage />,
                 action: manipulateEventAction,
-                loader: checkAuthLoader,
+                loader: checkEventOwnerLoader,
               },
             ],
           },
@@ -68,7 +88,7 @@ const router = createBrowserRouter([
             path: "new",
             element: <NewEventPage />,
             action: manipulateEventAction,
-            loader: checkAuthLoader,
+            loader: checkOrganizerLoader,
           },
         ],
       },
@@ -1,3 +1,4 @@
+import { useEffect, useState } from "react";
 import {
   Form,
   Link,
@@ -9,9 +10,43 @@ import {
 
 import classes from "./AuthForm.module.css";
 
+// e.g. "45 seconds" or "3:05 minutes"
+function formatRetryAfter(seconds) {
+  if (seconds < 60) {
+    return `${seconds} ${seconds === 1 ? "second" : "seconds"}`;
+  }
+  const rest = String(seconds % 60).padStart(2, "0");
+  return `${Math.floor(seconds / 60)}:${rest} minutes`;
+}
+
+// counts down the seconds until the next login attempt is allowed.
+// actionData changes with every submission, so a repeated 429 restarts the countdown
+function useRetryCountdown(actionData) {
+  const [secondsLeft, setSecondsLeft] = useState(0);
+
+  useEffect(() => {
+    const retryAfter = actionData && actionData.retryAfter;
+    if (!retryAfter) {
+      setSecondsLeft(0);
+      return;
+    }
+
+    const retryAt = Date.now() + retryAfter * 1000;
+    const update = () =>
+      setSecondsLeft(Math.max(0, Math.ceil((retryAt - Date.now()) / 1000)));
+
+    update();
+    const interval = setInterval(update, 1000);
+    return () => clearInterval(interval);
+  }, [actionData]);
+
+  return secondsLeft;
+}
+
 function AuthForm() {
   const data = useActionData();
   const navigation = useNavigation();
+  const secondsLeft = useRetryCountdown(data);
 
   // working with query parameters
   const [searchParams, setSearchParams] = useSearchParams();
@@ -29,20 +64,31 @@ function AuthForm() {
             ))}
           </ul>
         )}
-        {data && data.message && <p>{data.message}</p>}
+        {data && data.message && !data.retryAfter && <p>{data.message}</p>}
+        {secondsLeft > 0 && (
+          <p>Too many attempts, retry in {formatRetryAfter(secondsLeft)}.</p>
+        )}
         <p>
           <label htmlFor="email">Email</label>
           <input id="email" type="email" name="email" required />
         </p>
         <p>
           <label htmlFor="image">Password</label>
-          <input id="password" type="password" name="password" required />
+          {/* accounts created before the password policy may have shorter passwords */}
+          <input
+            id="password"
+            type="password"
+            name="password"
+            required
+            minLength={isLogin ? undefined : 8}
+          />
         </p>
         <div className={classes.actions}>
+          {isLogin && <Link to="/forgot-password">Forgot password?</Link>}
           <Link to={`?mode=${isLogin ? "signup" : "login"}`}>
             {isLogin ? "Create new user" : "Login"}
           </Link>
-          <button disabled={isSubmitting}>
+          <button disabled={isSubmitting || secondsLeft > 0}>
             {isSubmitting ? "Submitting..." : "Save"}
           </button>
         </div>
@@ -1,10 +1,13 @@
 import { Link, useRouteLoaderData, useSubmit } from "react-router-dom";
 
 import classes from "./EventItem.module.css";
+import { canManageEvent, getTokenClaims } from "../util/auth";
 
 function EventItem({ event }) {
   const token = useRouteLoaderData("root");
   const submit = useSubmit();
+  // only the owner of the event and admins may change it
+  const isEditable = canManageEvent(event, getTokenClaims(token));
 
   function startDeleteHandler() {
     const proceed = window.confirm("Are you sure?");
@@ -20,7 +23,7 @@ function EventItem({ event }) {
       <h1>{event.title}</h1>
       <time>{event.date}</time>
       <p>{event.description}</p>
-      {token && (
+      {isEditable && (
         <menu className={classes.actions}>
           <Link to="edit">Edit</Link>
           <button onClick={startDeleteHandler}>Delete</button>
@@ -1,9 +1,12 @@
 import { NavLink, useRouteLoaderData } from "react-router-dom";
 
 import classes from "./EventsNavigation.module.css";
+import { canManageEvents, getTokenClaims } from "../util/auth";
 
 function EventsNavigation() {
   const token = useRouteLoaderData("root");
+  // viewers can't create events
+  const canCreateEvents = canManageEvents(getTokenClaims(token));
 
   return (
     <header className={classes.header}>
@@ -20,7 +23,7 @@ function EventsNavigation() {
               All Events
             </NavLink>
           </li>
-          {token && (
+          {canCreateEvents && (
             <li>
               <NavLink
                 to="/events/new"
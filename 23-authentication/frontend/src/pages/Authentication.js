@@ -1,5 +1,6 @@
 import { redirect } from "react-router-dom";
 import AuthForm from "../components/AuthForm";
+import { storeAuthToken } from "../util/auth";
 
 function AuthenticationPage() {
   return <AuthForm />;
@@ -27,13 +28,20 @@ export async function action({ request }) {
 
   const response = await fetch("http://localhost:8080/" + mode, {
     method: "POST",
+    // the backend sets the refresh token as cookie
+    credentials: "include",
     headers: {
       "Content-Type": "application/json",
     },
     body: JSON.stringify(authData),
   });
 
-  if (response.status === 422 || response.status === 401) {
+  // 429 : too many failed logins, the response tells how long to wait (retryAfter in seconds)
+  if (
+    response.status === 422 ||
+    response.status === 401 ||
+    response.status === 429
+  ) {
     return response;
   }
 
@@ -46,12 +54,7 @@ export async function action({ request }) {
 
   // manage that token
   const resData = await response.json();
-  const token = resData.token;
-
-  localStorage.setItem("token", token);
-  const expiration = new Date();
-  expiration.setHours(expiration.getHours() + 1);
-  localStorage.setItem("expiration", expiration.toISOString());
+  storeAuthToken(resData);
 
   return redirect("/");
 }
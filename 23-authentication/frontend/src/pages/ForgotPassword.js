@@ -0,0 +1,68 @@
+import {
+  Form,
+  Link,
+  json,
+  useActionData,
+  useNavigation,
+} from "react-router-dom";
+
+import classes from "../components/AuthForm.module.css";
+
+function ForgotPasswordPage() {
+  const data = useActionData();
+  const navigation = useNavigation();
+  const isSubmitting = navigation.state === "submitting";
+
+  return (
+    <Form method="post" className={classes.form}>
+      <h1>Reset your password</h1>
+      <p>
+        Enter the email of your account, we'll send you a link to choose a new
+        password.
+      </p>
+      {data && data.errors && (
+        <ul>
+          {Object.values(data.errors).map((err) => (
+            <li key={err}>{err}</li>
+          ))}
+        </ul>
+      )}
+      {data && data.message && <p>{data.message}</p>}
+      <p>
+        <label htmlFor="email">Email</label>
+        <input id="email" type="email" name="email" required />
+      </p>
+      <div className={classes.actions}>
+        <Link to="/auth?mode=login">Back to login</Link>
+        <button disabled={isSubmitting}>
+          {isSubmitting ? "Submitting..." : "Send link"}
+        </button>
+      </div>
+    </Form>
+  );
+}
+
+export default ForgotPasswordPage;
+
+export async function action({ request }) {
+  const data = await request.formData();
+
+  const response = await fetch("http://localhost:8080/forgot-password", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ email: data.get("email") }),
+  });
+
+  // the message doesn't tell whether the account exists, it is shown in both cases.
+  // 429 : too many requests for this email or IP address, the message is shown as well
+  if (response.ok || response.status === 422 || response.status === 429) {
+    return response;
+  }
+
+  throw json(
+    { message: "Could not request a password reset." },
+    { status: 500 }
+  );
+}
@@ -1,7 +1,16 @@
 import { redirect } from "react-router-dom";
 
-export function action() {
-  localStorage.removeItem("token");
-  localStorage.removeItem("expiration");
+import { clearAuthToken } from "../util/auth";
+
+export async function action() {
+  // ends the session on the backend as well, so the refresh token can't be used anymore
+  try {
+    await fetch("http://localhost:8080/logout", {
+      method: "POST",
+      credentials: "include",
+    });
+  } catch (error) {}
+
+  clearAuthToken();
   return redirect("/");
 }
@@ -0,0 +1,95 @@
+import {
+  Form,
+  Link,
+  json,
+  redirect,
+  useActionData,
+  useNavigation,
+  useSearchParams,
+} from "react-router-dom";
+
+import classes from "../components/AuthForm.module.css";
+
+// opened via the link in the reset mail : /reset-password?token=...
+function ResetPasswordPage() {
+  const data = useActionData();
+  const navigation = useNavigation();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const isSubmitting = navigation.state === "submitting";
+
+  if (!token) {
+    return (
+      <div className={classes.form}>
+        <h1>Choose a new password</h1>
+        <p>This link is incomplete, please request a new one.</p>
+        <div className={classes.actions}>
+          <Link to="/forgot-password">Request a new link</Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <Form method="post" className={classes.form}>
+      <h1>Choose a new password</h1>
+      {data && data.errors && (
+        <ul>
+          {Object.values(data.errors).map((err) => (
+            <li key={err}>{err}</li>
+          ))}
+        </ul>
+      )}
+      {data && data.errors && data.errors.token && (
+        <p>
+          <Link to="/forgot-password">Request a new link</Link>
+        </p>
+      )}
+      <input type="hidden" name="token" value={token} />
+      <p>
+        <label htmlFor="password">New password</label>
+        <input
+          id="password"
+          type="password"
+          name="password"
+          required
+          minLength={8}
+        />
+      </p>
+      <div className={classes.actions}>
+        <Link to="/auth?mode=login">Back to login</Link>
+        <button disabled={isSubmitting}>
+          {isSubmitting ? "Submitting..." : "Save password"}
+        </button>
+      </div>
+    </Form>
+  );
+}
+
+export default ResetPasswordPage;
+
+export async function action({ request }) {
+  const data = await request.formData();
+
+  const response = await fetch("http://localhost:8080/reset-password", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      token: data.get("token"),
+      password: data.get("password"),
+    }),
+  });
+
+  if (response.status === 422) {
+    return response;
+  }
+
+  if (!response.ok) {
+    throw json({ message: "Could not reset the password." }, { status: 500 });
+  }
+
+  // all sessions ended with the password change, so the user logs in again
+  return redirect("/auth?mode=login");
+}
@@ -1,12 +1,25 @@
-import { Outlet, useLoaderData, useSubmit } from "react-router-dom";
+import {
+  Outlet,
+  useLoaderData,
+  useRevalidator,
+  useSubmit,
+} from "react-router-dom";
 
 import MainNavigation from "../components/MainNavigation";
 import { useEffect } from "react";
-import { getTokenDuration } from "../util/auth";
+import {
+  RENEW_BEFORE_EXPIRY,
+  getTokenDuration,
+  renewAuthToken,
+} from "../util/auth";
+
+// how long to wait before renewing the token again if the backend couldn't be reached
+const RETRY_DELAY = 10 * 1000;
 
 function RootLayout() {
   const token = useLoaderData();
   const submit = useSubmit();
+  const { revalidate } = useRevalidator();
   // const navigation = useNavigation();
 
   useEffect(() => {
@@ -19,12 +32,38 @@ function RootLayout() {
       return;
     }
 
-    const tokenDuration = getTokenDuration();
+    // the token is renewed shortly before it expires, the user is only logged out once the session ended
+    const renewIn = Math.max(getTokenDuration() - RENEW_BEFORE_EXPIRY, 0);
 
-    setTimeout(() => {
-      submit(null, { action: "/logout", method: "post" });
-    }, tokenDuration);
-  }, [token, submit]);
+    async function renew() {
+      let newToken;
+
+      try {
+        newToken = await renewAuthToken();
+      } catch (error) {
+        // e.g. the user is offline, that doesn't end the session
+        if (!cancelled) {
+          timer = setTimeout(renew, RETRY_DELAY);
+        }
+        return;
+      }
+
+      if (newToken) {
+        // the root loader provides the token to the rest of the app
+        revalidate();
+      } else {
+        submit(null, { action: "/logout", method: "post" });
+      }
+    }
+
+    let cancelled = false;
+    let timer = setTimeout(renew, renewIn);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [token, submit, revalidate]);
 
   return (
     <>
@@ -1,5 +1,8 @@
 import { redirect } from "react-router-dom";
 
+// the token is renewed this long before it expires
+export const RENEW_BEFORE_EXPIRY = 60 * 1000;
+
 export function getTokenDuration() {
   const storedExpirationDate = localStorage.getItem("expiration");
   const expirationDate = new Date(storedExpirationDate);
@@ -24,16 +27,176 @@ export function getAuthToken() {
   return token;
 }
 
-export function tokenLoader() {
+// expiresIn : the lifetime of the token in seconds, as sent by the backend
+export function storeAuthToken({ token, expiresIn }) {
+  localStorage.setItem("token", token);
+  const expiration = new Date(Date.now() + expiresIn * 1000);
+  localStorage.setItem("expiration", expiration.toISOString());
+}
+
+export function clearAuthToken() {
+  localStorage.removeItem("token");
+  localStorage.removeItem("expiration");
+}
+
+let pendingRefresh = null;
+
+// gets a new token with the refresh token cookie, returns null if the session ended.
+// throws if the backend can't be reached or failed (5xx), the session may still be valid then.
+// parallel calls share one request, the backend only accepts every refresh token once
+export function refreshAuthToken() {
+  if (!pendingRefresh) {
+    pendingRefresh = refreshInAllTabs().finally(() => {
+      pendingRefresh = null;
+    });
+  }
+
+  return pendingRefresh;
+}
+
+// all tabs share the refresh token cookie, so only one of them refreshes at a time.
+// a tab which waited for the lock uses the token the other tab stored instead of refreshing again
+function refreshInAllTabs() {
+  if (!navigator.locks) {
+    return requestAuthToken();
+  }
+
+  return navigator.locks.request("auth-token-refresh", () => {
+    if (getTokenDuration() > RENEW_BEFORE_EXPIRY) {
+      return getAuthToken();
+    }
+
+    return requestAuthToken();
+  });
+}
+
+async function requestAuthToken() {
+  // a network error is thrown as it is, the user isn't logged out because of it
+  const response = await fetch("http://localhost:8080/refresh", {
+    method: "POST",
+    credentials: "include",
+  });
+
+  if (response.status >= 500) {
+    throw new Error("Could not refresh the session.");
+  }
+
+  // any other error means that the refresh token isn't valid anymore (e.g. it was rotated or revoked)
+  if (!response.ok) {
+    clearAuthToken();
+    return null;
+  }
+
+  const resData = await response.json();
+  storeAuthToken(resData);
+  return resData.token;
+}
+
+// renews the token unless another tab already did it
+export function renewAuthToken() {
+  if (getTokenDuration() > RENEW_BEFORE_EXPIRY) {
+    return Promise.resolve(getAuthToken());
+  }
+
+  return refreshAuthToken();
+}
+
+export async function tokenLoader() {
   const token = getAuthToken();
+
+  // e.g. the page was opened again after a while, the session may still be valid
+  if (token === "EXPIRED") {
+    try {
+      return (await refreshAuthToken()) || "EXPIRED";
+    } catch (error) {
+      // the backend can't be reached right now, the expired token is kept and
+      // the root layout tries to renew it again
+      return localStorage.getItem("token");
+    }
+  }
+
   return token;
 }
 
+// { email, userId, role } - the token is only decoded here, it is verified by the backend
+export function getTokenClaims(token) {
+  if (!token || token === "EXPIRED") {
+    return null;
+  }
+
+  try {
+    const payload = token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+    return JSON.parse(atob(payload));
+  } catch (error) {
+    return null;
+  }
+}
+
+// the same rules as in the backend : viewers can't manage events,
+// organizers only the events they created and admins all events
+export function canManageEvents(claims) {
+  return claims?.role === "admin" || claims?.role === "organizer";
+}
+
+export function canManageEvent(event, claims) {
+  if (!canManageEvents(claims)) {
+    return false;
+  }
+
+  return (
+    claims.role === "admin" ||
+    (Boolean(event.ownerId) && event.ownerId === claims.userId)
+  );
+}
+
 // protect route
-export function checkAuthLoader() {
-  const token = getAuthToken();
+export async function checkAuthLoader() {
+  const token = await tokenLoader();
 
-  if (!token) {
+  if (!token || token === "EXPIRED") {
+    return redirect("/auth");
+  }
+
+  return null;
+}
+
+// protects the routes which create events
+export async function checkOrganizerLoader() {
+  const token = await tokenLoader();
+
+  if (!token || token === "EXPIRED") {
     return redirect("/auth");
   }
+
+  if (!canManageEvents(getTokenClaims(token))) {
+    return redirect("/events");
+  }
+
+  return null;
+}
+
+// protects the routes which change an event, only its owner (or an admin) gets there
+export async function checkEventOwnerLoader({ params }) {
+  const token = await tokenLoader();
+
+  if (!token || token === "EXPIRED") {
+    return redirect("/auth");
+  }
+
+  const response = await fetch(
+    "http://localhost:8080/events/" + params.eventId
+  );
+
+  // the event-detail loader reports events which can't be loaded
+  if (!response.ok) {
+    return null;
+  }
+
+  const resData = await response.json();
+
+  if (!canManageEvent(resData.event, getTokenClaims(token))) {
+    return redirect("/events/" + params.eventId);
+  }
+
+  return null;
 }
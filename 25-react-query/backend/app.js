@@ -1,175 +1,1055 @@
 import fs from 'node:fs/promises';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
 
 import bodyParser from 'body-parser';
 import express from 'express';
+import multer from 'multer';
+import sharp from 'sharp';
 
-const app = express();
+import { createCommentsData } from './data/comment.js';
+import { createDraftsData } from './data/draft.js';
+import { createEventsData } from './data/event.js';
+import { createImagesData } from './data/image.js';
+import { createRegistrationsData } from './data/registration.js';
+import { createRevisionsData } from './data/revision.js';
+import { createUsersData } from './data/user.js';
+import { createFileStorage } from './data/util.js';
+import {
+  assertOwner,
+  checkAuth,
+  createJSONToken,
+  isValidPassword,
+  readAuth,
+} from './util/auth.js';
+import { ConflictError, NotFoundError } from './util/errors.js';
+import { createEventStream } from './util/event-stream.js';
+import { distanceInKm, parsePosition } from './util/geo.js';
+import { buildCalendar } from './util/ical.js';
+import { expandOccurrences } from './util/recurrence.js';
+import {
+  commentSchema,
+  eventSchema,
+  imageSchema,
+  isValidDate,
+  registrationSchema,
+  signupSchema,
+  validate,
+} from './util/validation.js';
 
-app.use(bodyParser.json());
-app.use(express.static('public'));
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+const COMMENTS_PAGE_SIZE = 10;
+const DEFAULT_RADIUS_KM = 50;
 
-app.use((req, res, next) => {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader(
-    'Access-Control-Allow-Methods',
-    'GET, POST, PUT, DELETE, OPTIONS'
-  );
-  res.setHeader(
-    'Access-Control-Allow-Headers',
-    'X-Requested-With,content-type'
-  );
-  next();
-});
-
-app.get('/events', async (req, res) => {
-  const { max, search } = req.query;
-  const eventsFileContent = await fs.readFile('./data/events.json');
-  let events = JSON.parse(eventsFileContent);
-
-  if (search) {
-    events = events.filter((event) => {
-      const searchableText = `${event.title} ${event.description} ${event.location}`;
-      return searchableText.toLowerCase().includes(search.toLowerCase());
-    });
+const DAY = 24 * 60 * 60 * 1000;
+
+// paths are resolved relative to this file, so the app doesn't depend on the working directory
+const DATA_DIRECTORY = fileURLToPath(new URL('./data', import.meta.url));
+const PUBLIC_DIRECTORY = fileURLToPath(new URL('./public', import.meta.url));
+
+function parsePositiveInt(value) {
+  if (value === undefined) {
+    return undefined;
   }
 
-  if (max) {
-    events = events.slice(events.length - max, events.length);
+  const number = Number(value);
+
+  if (!Number.isInteger(number) || number < 1) {
+    return null;
   }
 
-  res.json({
-    events: events.map((event) => ({
-      id: event.id,
-      title: event.title,
-      image: event.image,
-      date: event.date,
-      location: event.location,
-    })),
+  return number;
+}
+
+// distance sorting is only possible for "near" queries,
+// added sorts by the order in which the events were created (the order they are stored in)
+const SORT_FIELDS = ['date', 'title', 'distance', 'added'];
+const SORT_ORDERS = ['asc', 'desc'];
+
+function todayAsDateString() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// builds the link to another page of the same listing, keeping all other query params
+function buildPageLink(query, page) {
+  const params = new URLSearchParams(query);
+  params.set('page', page);
+  return `/events?${params.toString()}`;
+}
+
+// options :
+// storage : where the data is kept, the JSON files in data/ by default (see data/util.js)
+// publicDirectory : the static files, uploaded images are stored there as well
+// delay : some responses are delayed by this many ms, so the loading states of the frontend can be seen (0 turns it off)
+// trashRetentionDays : how long deleted events can be restored
+// the app doesn't listen or purge the trash on its own, app.locals.purgeTrash() is scheduled by server.js
+export function createApp({
+  storage = createFileStorage(DATA_DIRECTORY),
+  publicDirectory = PUBLIC_DIRECTORY,
+  delay = 0,
+  trashRetentionDays = 30,
+} = {}) {
+  const commentsData = createCommentsData(storage);
+  const draftsData = createDraftsData(storage);
+  const eventsData = createEventsData(storage);
+  const imagesData = createImagesData(storage);
+  const registrationsData = createRegistrationsData(storage);
+  const revisionsData = createRevisionsData(storage);
+  const usersData = createUsersData(storage);
+  const eventStream = createEventStream();
+
+  // artificial delay of some responses, see the delay option
+  function delayed(send) {
+    if (delay > 0) {
+      setTimeout(send, delay);
+    } else {
+      send();
+    }
+  }
+
+  const app = express();
+
+  app.use(bodyParser.json());
+  app.use(express.static(publicDirectory));
+
+  app.use((req, res, next) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader(
+      'Access-Control-Allow-Methods',
+      'GET, POST, PUT, DELETE, OPTIONS'
+    );
+    res.setHeader(
+      'Access-Control-Allow-Headers',
+      'X-Requested-With,content-type,Authorization'
+    );
+    next();
   });
-});
 
-app.get('/events/images', async (req, res) => {
-  const imagesFileContent = await fs.readFile('./data/images.json');
-  const images = JSON.parse(imagesFileContent);
+  app.post('/signup', async (req, res, next) => {
+    const data = req.body;
 
-  res.json({ images });
-});
+    try {
+      const errors = await validate(signupSchema, data);
 
-app.get('/events/:id', async (req, res) => {
-  const { id } = req.params;
+      if (Object.keys(errors).length > 0) {
+        return res.status(422).json({
+          message: 'User signup failed due to validation errors.',
+          errors,
+        });
+      }
 
-  const eventsFileContent = await fs.readFile('./data/events.json');
-  const events = JSON.parse(eventsFileContent);
+      const user = await usersData.add(data);
+      res
+        .status(201)
+        .json({ message: 'User created.', user, token: createJSONToken(user) });
+    } catch (error) {
+      if (error instanceof ConflictError) {
+        return res.status(422).json({
+          message: 'User signup failed due to validation errors.',
+          errors: { email: 'Email exists already.' },
+        });
+      }
+      next(error);
+    }
+  });
 
-  const event = events.find((event) => event.id === id);
+  app.post('/login', async (req, res, next) => {
+    const { email, password } = req.body;
+    // the same answer for unknown emails and wrong passwords, so it can't be used to find registered emails
+    const invalidCredentials = {
+      message: 'Invalid credentials.',
+      errors: { credentials: 'Invalid email or password entered.' },
+    };
 
-  if (!event) {
-    return res
-      .status(404)
-      .json({ message: `For the id ${id}, no event could be found.` });
-  }
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      return res.status(422).json(invalidCredentials);
+    }
 
-  setTimeout(() => {
-    res.json({ event });
-  }, 1000);
-});
+    try {
+      const user = await usersData.getByEmail(email);
 
-app.post('/events', async (req, res) => {
-  const { event } = req.body;
+      if (!(await isValidPassword(password, user.password))) {
+        return res.status(422).json(invalidCredentials);
+      }
 
-  if (!event) {
-    return res.status(400).json({ message: 'Event is required' });
-  }
+      res.json({
+        user: { id: user.id, email: user.email },
+        token: createJSONToken(user),
+      });
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        return res.status(422).json(invalidCredentials);
+      }
+      next(error);
+    }
+  });
 
-  console.log(event);
-
-  if (
-    !event.title?.trim() ||
-    !event.description?.trim() ||
-    !event.date?.trim() ||
-    !event.time?.trim() ||
-    !event.image?.trim() ||
-    !event.location?.trim()
-  ) {
-    return res.status(400).json({ message: 'Invalid data provided.' });
-  }
+  app.get('/events', async (req, res, next) => {
+    // e.g. ?location=a&location=b is parsed as array, every filter expects a single value
+    if (Object.values(req.query).some((value) => typeof value !== 'string')) {
+      return res
+        .status(400)
+        .json({ message: 'Every query parameter may only be given once.' });
+    }
+
+    const {
+      max,
+      search,
+      sort,
+      order = 'asc',
+      from,
+      to,
+      location,
+      upcoming,
+      near,
+    } = req.query;
+    const page = parsePositiveInt(req.query.page);
+    const limit = parsePositiveInt(req.query.limit);
+    // near=lat,lng limits the events to the ones within radius km (only events with coordinates)
+    const position = near ? parsePosition(near) : undefined;
+    const radius = Number(req.query.radius ?? DEFAULT_RADIUS_KM);
+
+    if (page === null || limit === null) {
+      return res
+        .status(400)
+        .json({ message: 'page and limit must be positive integers.' });
+    }
+
+    if (sort && !SORT_FIELDS.includes(sort)) {
+      return res
+        .status(400)
+        .json({ message: `sort must be one of: ${SORT_FIELDS.join(', ')}.` });
+    }
+
+    if (sort === 'distance' && !near) {
+      return res
+        .status(400)
+        .json({ message: 'sort=distance requires the near parameter.' });
+    }
+
+    if (position === null) {
+      return res
+        .status(400)
+        .json({ message: 'near must be a position in the lat,lng format.' });
+    }
+
+    if (!Number.isFinite(radius) || radius <= 0) {
+      return res
+        .status(400)
+        .json({ message: 'radius must be a positive number (in km).' });
+    }
+
+    if (!SORT_ORDERS.includes(order)) {
+      return res
+        .status(400)
+        .json({ message: `order must be one of: ${SORT_ORDERS.join(', ')}.` });
+    }
+
+    if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+      return res
+        .status(400)
+        .json({
+          message: 'from and to must be dates in the YYYY-MM-DD format.',
+        });
+    }
+
+    // search results are ranked by relevance, unless another sort order is requested
+    let events;
+    let addedOrder;
+    try {
+      events = search
+        ? await eventsData.search(search)
+        : await eventsData.getAll();
+
+      if (sort === 'added') {
+        const storedEvents = search ? await eventsData.getAll() : events;
+        addedOrder = new Map(
+          storedEvents.map((event, index) => [event.id, index])
+        );
+      }
+    } catch (error) {
+      return next(error);
+    }
+
+    // for date queries, recurring events are listed once per occurrence in the range
+    // dates are stored as YYYY-MM-DD strings, so they can be compared as strings
+    if (from || to || upcoming === 'true') {
+      const today = todayAsDateString();
+      const start =
+        upcoming === 'true' && (!from || from < today) ? today : from;
+      events = expandOccurrences(events, start, to);
+    }
+
+    if (location) {
+      events = events.filter((event) =>
+        event.location.toLowerCase().includes(location.toLowerCase())
+      );
+    }
+
+    if (position) {
+      events = events
+        .filter((event) => event.lat !== undefined)
+        .map((event) => ({ ...event, distance: distanceInKm(position, event) }))
+        .filter((event) => event.distance <= radius);
+    }
+
+    if (sort) {
+      const direction = order === 'desc' ? -1 : 1;
+      events = [...events].sort((a, b) => {
+        let result = a.title.localeCompare(b.title);
+        if (sort === 'date') {
+          result = `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`);
+        } else if (sort === 'distance') {
+          result = a.distance - b.distance;
+        } else if (sort === 'added') {
+          result = addedOrder.get(a.id) - addedOrder.get(b.id);
+        }
+        return result * direction;
+      });
+    }
+
+    if (max) {
+      events = events.slice(events.length - max, events.length);
+    }
+
+    const total = events.length;
+    let pagination = {
+      total,
+      page: 1,
+      limit: total,
+      totalPages: 1,
+      nextPage: null,
+      prevPage: null,
+      next: null,
+      prev: null,
+    };
+
+    // without page or limit, the whole (filtered) list is returned as a single page
+    if (page !== undefined || limit !== undefined) {
+      const pageSize = Math.min(limit ?? DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+      const currentPage = page ?? 1;
+      const totalPages = Math.max(Math.ceil(total / pageSize), 1);
+      const query = { ...req.query, limit: pageSize };
+
+      events = events.slice(
+        (currentPage - 1) * pageSize,
+        currentPage * pageSize
+      );
 
-  const eventsFileContent = await fs.readFile('./data/events.json');
-  const events = JSON.parse(eventsFileContent);
+      const nextPage = currentPage < totalPages ? currentPage + 1 : null;
+      const prevPage =
+        currentPage > 1 ? Math.min(currentPage - 1, totalPages) : null;
 
-  const newEvent = {
-    id: Math.round(Math.random() * 10000).toString(),
-    ...event,
+      pagination = {
+        total,
+        page: currentPage,
+        limit: pageSize,
+        totalPages,
+        nextPage,
+        prevPage,
+        next: nextPage && buildPageLink(query, nextPage),
+        prev: prevPage && buildPageLink(query, prevPage),
+      };
+    }
+
+    res.json({
+      events: events.map((event) => ({
+        id: event.id,
+        title: event.title,
+        image: event.image,
+        date: event.date,
+        location: event.location,
+        recurrence: event.recurrence,
+        lat: event.lat,
+        lng: event.lng,
+        // in km, only set for "near" queries
+        distance:
+          event.distance === undefined
+            ? undefined
+            : Math.round(event.distance * 10) / 10,
+        // the indexed words that matched the search, e.g. to highlight them
+        matches: event.matches,
+      })),
+      pagination,
+    });
+  });
+
+  // calendar apps can subscribe to this feed (webcal://localhost:3000/events.ics)
+  app.get('/events.ics', async (req, res, next) => {
+    try {
+      const events = await eventsData.getAll();
+
+      res.type('text/calendar');
+      res.send(buildCalendar(events));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // has to be registered before /events/:id, otherwise "stream" would be treated as an id
+  app.get('/events/stream', (req, res) => {
+    eventStream.subscribe(req, res);
+  });
+
+  app.get('/events/images', async (req, res, next) => {
+    try {
+      const images = await imagesData.getAll();
+      res.json({ images });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  const MAX_IMAGE_SIZE = 5 * 1024 * 1024; // 5 MB
+  const IMAGE_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+  };
+  // the file extension follows the format sharp detects in the content, not the type the client sent
+  const FORMAT_EXTENSIONS = {
+    jpeg: 'jpg',
+    png: 'png',
+    webp: 'webp',
   };
+  const THUMBNAIL_WIDTH = 160;
+  const THUMBNAIL_HEIGHT = 120;
+
+  // files are kept in memory, so nothing is written to disk before they are validated
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMAGE_SIZE, files: 1 },
+    fileFilter: (req, file, callback) => {
+      if (!(file.mimetype in IMAGE_EXTENSIONS)) {
+        return callback(
+          new Error('Only JPEG, PNG and WebP images are allowed.')
+        );
+      }
+      callback(null, true);
+    },
+  });
+
+  app.post('/events/images', checkAuth, (req, res, next) => {
+    upload.single('image')(req, res, async (error) => {
+      if (error?.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({
+          message: `Images must not be larger than ${MAX_IMAGE_SIZE / 1024 / 1024} MB.`,
+        });
+      }
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      if (!req.file) {
+        return res
+          .status(400)
+          .json({ message: 'A JPEG, PNG or WebP image is required.' });
+      }
+
+      // the mime type is sent by the client, so check that the content is really an image
+      let format;
+      try {
+        ({ format } = await sharp(req.file.buffer).metadata());
+      } catch {
+        // the content can't be read as an image, format stays undefined
+      }
+
+      if (!(format in FORMAT_EXTENSIONS)) {
+        return res
+          .status(422)
+          .json({ message: 'The uploaded file is not a valid image.' });
+      }
 
-  events.push(newEvent);
+      const errors = await validate(imageSchema, req.body);
 
-  await fs.writeFile('./data/events.json', JSON.stringify(events));
+      if (Object.keys(errors).length > 0) {
+        return res
+          .status(422)
+          .json({ message: 'Invalid data provided.', errors });
+      }
 
-  res.json({ event: newEvent });
-});
+      const fileName = `${randomUUID()}.${FORMAT_EXTENSIONS[format]}`;
+      const image = {
+        path: `uploads/${fileName}`,
+        thumbnail: `uploads/thumbnails/${fileName}`,
+        caption: req.body.caption?.trim() || req.file.originalname,
+      };
 
-app.put('/events/:id', async (req, res) => {
-  const { id } = req.params;
-  const { event } = req.body;
+      try {
+        await fs.mkdir(path.join(publicDirectory, 'uploads/thumbnails'), {
+          recursive: true,
+        });
+        await fs.writeFile(
+          path.join(publicDirectory, image.path),
+          req.file.buffer
+        );
+        await sharp(req.file.buffer)
+          .resize(THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT, { fit: 'cover' })
+          .toFile(path.join(publicDirectory, image.thumbnail));
 
-  if (!event) {
-    return res.status(400).json({ message: 'Event is required' });
+        await imagesData.add(image);
+      } catch (error) {
+        return next(error);
+      }
+
+      res.status(201).json({ image });
+    });
+  });
+
+  // drafts of new events, they are stored on the server so they can be continued on another device.
+  // every user only sees their own drafts
+  function validateDraft(draft) {
+    if (
+      !draft ||
+      typeof draft.data !== 'object' ||
+      draft.data === null ||
+      !Number.isInteger(draft.step) ||
+      draft.step < 0
+    ) {
+      return 'A draft needs its data and the current step.';
+    }
   }
 
-  if (
-    !event.title?.trim() ||
-    !event.description?.trim() ||
-    !event.date?.trim() ||
-    !event.time?.trim() ||
-    !event.image?.trim() ||
-    !event.location?.trim()
-  ) {
-    return res.status(400).json({ message: 'Invalid data provided.' });
+  // the wizard offers these drafts when it is opened, e.g. on another device
+  app.get('/events/drafts', checkAuth, async (req, res, next) => {
+    try {
+      const drafts = await draftsData.getForOwner(req.user.id);
+      res.json({ drafts });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post('/events/drafts', checkAuth, async (req, res, next) => {
+    const { draft } = req.body;
+    const message = validateDraft(draft);
+
+    if (message) {
+      return res.status(400).json({ message });
+    }
+
+    try {
+      const newDraft = await draftsData.save(undefined, draft, req.user.id);
+      res.status(201).json({ draft: newDraft });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get('/events/drafts/:draftId', checkAuth, async (req, res, next) => {
+    try {
+      const draft = await draftsData.get(req.params.draftId, req.user.id);
+      res.json({ draft });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.put('/events/drafts/:draftId', checkAuth, async (req, res, next) => {
+    const { draft } = req.body;
+    const message = validateDraft(draft);
+
+    if (message) {
+      return res.status(400).json({ message });
+    }
+
+    try {
+      const updatedDraft = await draftsData.save(
+        req.params.draftId,
+        draft,
+        req.user.id
+      );
+      res.json({ draft: updatedDraft });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.delete('/events/drafts/:draftId', checkAuth, async (req, res, next) => {
+    try {
+      await draftsData.remove(req.params.draftId, req.user.id);
+      res.json({ message: 'Draft deleted' });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  function purgeDate(event) {
+    return new Date(
+      new Date(event.deletedAt).getTime() + trashRetentionDays * DAY
+    ).toISOString();
   }
 
-  const eventsFileContent = await fs.readFile('./data/events.json');
-  const events = JSON.parse(eventsFileContent);
+  // every user only sees the deleted events they may restore
+  app.get('/events/trash', checkAuth, async (req, res, next) => {
+    try {
+      const events = await eventsData.getTrash();
 
-  const eventIndex = events.findIndex((event) => event.id === id);
+      res.json({
+        events: events
+          .filter((event) => !event.ownerId || event.ownerId === req.user.id)
+          .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))
+          .map((event) => ({
+            id: event.id,
+            title: event.title,
+            image: event.image,
+            date: event.date,
+            location: event.location,
+            deletedAt: event.deletedAt,
+            purgeAt: purgeDate(event),
+          })),
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
 
-  if (eventIndex === -1) {
-    return res.status(404).json({ message: 'Event not found' });
+  // seatsLeft is null for events without a capacity
+  // the capacity of an event can't be lowered below the number of registered people
+  function validateCapacity(capacity, attendeeCount) {
+    if (capacity && Number(capacity) < attendeeCount) {
+      return {
+        capacity: `${attendeeCount} people are already registered, the capacity can't be lower.`,
+      };
+    }
   }
 
-  events[eventIndex] = {
-    id,
-    ...event,
-  };
+  function withSeats(event, attendeeCount) {
+    return {
+      ...event,
+      attendeeCount,
+      seatsLeft:
+        event.capacity === undefined
+          ? null
+          : Math.max(event.capacity - attendeeCount, 0),
+    };
+  }
 
-  await fs.writeFile('./data/events.json', JSON.stringify(events));
+  app.get('/events/:id', async (req, res, next) => {
+    try {
+      const event = await eventsData.get(req.params.id);
+      const attendees = await registrationsData.getForEvent(event.id);
 
-  setTimeout(() => {
-    res.json({ event: events[eventIndex] });
-  }, 1000);
-});
+      delayed(() => res.json({ event: withSeats(event, attendees.length) }));
+    } catch (error) {
+      next(error);
+    }
+  });
 
-app.delete('/events/:id', async (req, res) => {
-  const { id } = req.params;
+  app.post('/events', checkAuth, async (req, res, next) => {
+    const { event } = req.body;
 
-  const eventsFileContent = await fs.readFile('./data/events.json');
-  const events = JSON.parse(eventsFileContent);
+    if (!event) {
+      return res.status(400).json({ message: 'Event is required' });
+    }
 
-  const eventIndex = events.findIndex((event) => event.id === id);
+    console.log(event);
 
-  if (eventIndex === -1) {
-    return res.status(404).json({ message: 'Event not found' });
-  }
+    try {
+      const errors = await validate(eventSchema, event, { imagesData });
+
+      if (Object.keys(errors).length > 0) {
+        return res
+          .status(422)
+          .json({ message: 'Invalid data provided.', errors });
+      }
+
+      // id and version are always assigned by the repository
+      const newEvent = await eventsData.add(event, req.user.id);
+      await revisionsData.record(newEvent.id, {
+        action: 'created',
+        authorId: req.user.id,
+        before: null,
+        after: newEvent,
+      });
+      eventStream.broadcast('created', newEvent);
+
+      res.json({ event: newEvent });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.put('/events/:id', checkAuth, async (req, res, next) => {
+    const { id } = req.params;
+    const { event } = req.body;
+
+    if (!event) {
+      return res.status(400).json({ message: 'Event is required' });
+    }
+
+    // the version the client edited, PUT is rejected with 409 if the event changed since then
+    const { version, ...eventData } = event;
+
+    try {
+      const previousEvent = await eventsData.get(id);
+      assertOwner(previousEvent, req.user);
+
+      const errors = await validate(eventSchema, eventData, { imagesData });
+
+      if (Object.keys(errors).length > 0) {
+        return res
+          .status(422)
+          .json({ message: 'Invalid data provided.', errors });
+      }
+
+      const attendees = await registrationsData.getForEvent(id);
+      const capacityErrors = validateCapacity(
+        eventData.capacity,
+        attendees.length
+      );
+
+      if (capacityErrors) {
+        return res
+          .status(422)
+          .json({ message: 'Invalid data provided.', errors: capacityErrors });
+      }
+
+      const updatedEvent = await eventsData.replace(id, eventData, version);
+      await revisionsData.record(id, {
+        action: 'updated',
+        authorId: req.user.id,
+        before: previousEvent,
+        after: updatedEvent,
+      });
+      eventStream.broadcast(
+        'updated',
+        withSeats(updatedEvent, attendees.length)
+      );
+
+      delayed(() =>
+        res.json({ event: withSeats(updatedEvent, attendees.length) })
+      );
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.delete('/events/:id', checkAuth, async (req, res, next) => {
+    try {
+      assertOwner(await eventsData.get(req.params.id), req.user);
+
+      // registrations and comments are kept, so they are back if the event is restored
+      const event = await eventsData.remove(req.params.id);
+      await revisionsData.record(event.id, {
+        action: 'deleted',
+        authorId: req.user.id,
+        before: event,
+        after: event,
+      });
+      eventStream.broadcast('deleted', { id: req.params.id });
+
+      delayed(() => res.json({ message: 'Event deleted' }));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post('/events/:id/restore', checkAuth, async (req, res, next) => {
+    try {
+      const trashedEvent = (await eventsData.getTrash()).find(
+        (event) => event.id === req.params.id
+      );
+      if (trashedEvent) {
+        assertOwner(trashedEvent, req.user);
+      }
+
+      const event = await eventsData.restore(req.params.id);
+      await revisionsData.record(event.id, {
+        action: 'restored',
+        authorId: req.user.id,
+        before: event,
+        after: event,
+      });
+      eventStream.broadcast('restored', event);
+
+      res.json({ event });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // the history is public, but the emails of the authors are not :
+  // they are only sent to the owner of the event, other users only see which changes were their own
+  app.get('/events/:id/history', readAuth, async (req, res, next) => {
+    try {
+      const event = await eventsData.get(req.params.id);
+      const revisions = await revisionsData.getForEvent(event.id);
+      const isEventOwner = Boolean(
+        req.user && event.ownerId && event.ownerId === req.user.id
+      );
+      const visibleAuthorIds = revisions
+        .map((revision) => revision.authorId)
+        .filter(
+          (authorId) => authorId && (isEventOwner || authorId === req.user?.id)
+        );
+      const emails =
+        visibleAuthorIds.length > 0
+          ? await usersData.getEmails(visibleAuthorIds)
+          : {};
+
+      res.json({
+        revisions: revisions.map(({ authorId, ...revision }) => ({
+          ...revision,
+          author: authorId ? (emails[authorId] ?? null) : revision.author,
+        })),
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // replaces the event with the snapshot of an older revision, this is recorded as a new revision
+  app.post(
+    '/events/:id/history/:revisionId/revert',
+    checkAuth,
+    async (req, res, next) => {
+      const { id, revisionId } = req.params;
+      // like PUT, the revert is rejected with 409 if the event changed since the client loaded it
+      const { version } = req.body;
+
+      try {
+        // a revert changes the event like PUT does, so only its owner may do it
+        const previousEvent = await eventsData.get(id);
+        assertOwner(previousEvent, req.user);
+
+        const revision = await revisionsData.get(id, revisionId);
+        const attendees = await registrationsData.getForEvent(id);
+        const capacityErrors = validateCapacity(
+          revision.snapshot.capacity,
+          attendees.length
+        );
+
+        if (capacityErrors) {
+          return res.status(422).json({
+            message: 'This revision can not be restored.',
+            errors: capacityErrors,
+          });
+        }
+
+        const revertedEvent = await eventsData.replace(
+          id,
+          revision.snapshot,
+          version
+        );
+        await revisionsData.record(id, {
+          action: 'reverted',
+          authorId: req.user.id,
+          before: previousEvent,
+          after: revertedEvent,
+        });
+        eventStream.broadcast(
+          'updated',
+          withSeats(revertedEvent, attendees.length)
+        );
+
+        res.json({ event: withSeats(revertedEvent, attendees.length) });
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  app.get('/events/:id/ics', async (req, res, next) => {
+    try {
+      const event = await eventsData.get(req.params.id);
+
+      res.type('text/calendar');
+      res.attachment(`event-${event.id}.ics`);
+      res.send(buildCalendar([event], event.title));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post('/events/:id/registrations', async (req, res, next) => {
+    const { registration } = req.body;
+
+    if (!registration) {
+      return res.status(400).json({ message: 'Registration is required' });
+    }
+
+    try {
+      const errors = await validate(registrationSchema, registration);
+
+      if (Object.keys(errors).length > 0) {
+        return res
+          .status(422)
+          .json({ message: 'Invalid data provided.', errors });
+      }
+
+      const event = await eventsData.get(req.params.id);
+      const result = await registrationsData.add(
+        event.id,
+        registration,
+        event.capacity
+      );
+      const { attendeeCount, seatsLeft } = withSeats(
+        event,
+        result.attendeeCount
+      );
+      eventStream.broadcast('updated', {
+        id: event.id,
+        attendeeCount,
+        seatsLeft,
+      });
+
+      // the email is only known to the person who registered, so it is not sent back.
+      // the cancel key is only sent back once, it is needed to cancel the registration later
+      const { id, name, registeredAt, cancelKey } = result.registration;
+
+      res.status(201).json({
+        registration: { id, name, registeredAt, cancelKey },
+        attendeeCount,
+        seatsLeft,
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.delete('/events/:id/registrations', async (req, res, next) => {
+    const { email, cancelKey } = req.body.registration ?? {};
+
+    if (typeof email !== 'string' || !email.trim()) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    if (typeof cancelKey !== 'string' || !cancelKey) {
+      return res.status(400).json({ message: 'Cancel key is required' });
+    }
+
+    try {
+      const event = await eventsData.get(req.params.id);
+      const result = await registrationsData.remove(
+        event.id,
+        email,
+        cancelKey
+      );
+      const { attendeeCount, seatsLeft } = withSeats(
+        event,
+        result.attendeeCount
+      );
+      eventStream.broadcast('updated', {
+        id: event.id,
+        attendeeCount,
+        seatsLeft,
+      });
+
+      res.json({ attendeeCount, seatsLeft });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get('/events/:id/comments', async (req, res, next) => {
+    const page = parsePositiveInt(req.query.page) ?? 1;
+    const limit = Math.min(
+      parsePositiveInt(req.query.limit) ?? COMMENTS_PAGE_SIZE,
+      MAX_PAGE_SIZE
+    );
 
-  events.splice(eventIndex, 1);
+    try {
+      const event = await eventsData.get(req.params.id);
+      const { comments, total } = await commentsData.getForEvent(event.id, {
+        page,
+        limit,
+      });
+      const totalPages = Math.max(Math.ceil(total / limit), 1);
 
-  await fs.writeFile('./data/events.json', JSON.stringify(events));
+      res.json({
+        comments,
+        pagination: {
+          total,
+          page,
+          limit,
+          totalPages,
+          nextPage: page < totalPages ? page + 1 : null,
+          prevPage: page > 1 ? Math.min(page - 1, totalPages) : null,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post('/events/:id/comments', async (req, res, next) => {
+    const { comment } = req.body;
+
+    if (!comment) {
+      return res.status(400).json({ message: 'Comment is required' });
+    }
+
+    try {
+      const errors = await validate(commentSchema, comment);
+
+      if (Object.keys(errors).length > 0) {
+        return res
+          .status(422)
+          .json({ message: 'Invalid data provided.', errors });
+      }
+
+      const event = await eventsData.get(req.params.id);
+      // the delete key is only sent back once, the author needs it to delete the comment later
+      const newComment = await commentsData.add(event.id, comment);
+
+      res.status(201).json({ comment: newComment });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.delete('/events/:id/comments/:commentId', async (req, res, next) => {
+    const deleteKey = req.body.comment?.deleteKey;
+
+    if (!deleteKey) {
+      return res.status(400).json({ message: 'Delete key is required' });
+    }
+
+    try {
+      await commentsData.remove(req.params.id, req.params.commentId, deleteKey);
+      res.json({ message: 'Comment deleted' });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // errors thrown by the data layer carry their own status code (see util/errors.js)
+  // express only treats middleware with 4 parameters as error handler
+  // eslint-disable-next-line no-unused-vars
+  app.use((error, req, res, next) => {
+    const status = error.status || 500;
+    const message = error.message || 'Something went wrong.';
+    res
+      .status(status)
+      .json({ message, ...(error.current && { event: error.current }) });
+  });
+
+  // removes the events (and their registrations, comments and history) which are in the trash for too long
+  async function purgeTrash() {
+    try {
+      const purgedEvents = await eventsData.purge(
+        new Date(Date.now() - trashRetentionDays * DAY)
+      );
+
+      for (const event of purgedEvents) {
+        await registrationsData.removeForEvent(event.id);
+        await commentsData.removeForEvent(event.id);
+        await revisionsData.removeForEvent(event.id);
+      }
+
+      if (purgedEvents.length > 0) {
+        console.log(`Purged ${purgedEvents.length} event(s) from the trash`);
+      }
+    } catch (error) {
+      console.error('Failed to purge the trash', error);
+    }
+  }
 
-  setTimeout(() => {
-    res.json({ message: 'Event deleted' });
-  }, 1000);
-});
+  app.locals.purgeTrash = purgeTrash;
 
-app.listen(3000, () => {
-  console.log('Server running on port 3000');
-});
+  return app;
+}
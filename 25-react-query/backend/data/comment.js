@@ -0,0 +1,77 @@
+import { randomUUID } from 'node:crypto';
+
+import { NotFoundError } from '../util/errors.js';
+
+// { [eventId]: [{ id, author, text, createdAt, deleteKey }] }
+const COMMENTS = 'comments';
+
+// the delete key is only handed out to the author when the comment is created
+function withoutDeleteKey({ id, author, text, createdAt }) {
+  return { id, author, text, createdAt };
+}
+
+// the comments of the events
+export function createCommentsData(storage) {
+  // returns one page of comments, the newest comments come first
+  async function getForEvent(eventId, { page, limit }) {
+    const comments = await storage.read(COMMENTS);
+    const eventComments = [...(comments[eventId] ?? [])].reverse();
+    const start = (page - 1) * limit;
+
+    return {
+      comments: eventComments.slice(start, start + limit).map(withoutDeleteKey),
+      total: eventComments.length,
+    };
+  }
+
+  function add(eventId, comment) {
+    return storage.update(COMMENTS, (comments) => {
+      const newComment = {
+        id: randomUUID(),
+        author: comment.author.trim(),
+        text: comment.text.trim(),
+        createdAt: new Date().toISOString(),
+        deleteKey: randomUUID(),
+      };
+
+      return {
+        data: {
+          ...comments,
+          [eventId]: [...(comments[eventId] ?? []), newComment],
+        },
+        result: newComment,
+      };
+    });
+  }
+
+  function remove(eventId, commentId, deleteKey) {
+    return storage.update(COMMENTS, (comments) => {
+      const eventComments = comments[eventId] ?? [];
+      const comment = eventComments.find((item) => item.id === commentId);
+
+      // a wrong key is reported like a missing comment, so keys can't be guessed one by one
+      if (!comment || comment.deleteKey !== deleteKey) {
+        throw new NotFoundError(
+          `For the id ${commentId}, no comment could be found.`
+        );
+      }
+
+      return {
+        data: {
+          ...comments,
+          [eventId]: eventComments.filter((item) => item.id !== commentId),
+        },
+        result: withoutDeleteKey(comment),
+      };
+    });
+  }
+
+  function removeForEvent(eventId) {
+    return storage.update(COMMENTS, (comments) => {
+      const { [eventId]: removed, ...remaining } = comments;
+      return { data: remaining, result: removed ?? [] };
+    });
+  }
+
+  return { getForEvent, add, remove, removeForEvent };
+}
@@ -0,0 +1,87 @@
+import { randomUUID } from 'node:crypto';
+
+import { NotFoundError } from '../util/errors.js';
+
+// { [draftId]: { id, ownerId, data, step, updatedAt } }
+// drafts are unfinished events, so their data is not validated, only unknown fields are dropped
+const DRAFTS = 'drafts';
+
+const DRAFT_FIELDS = [
+  'title',
+  'description',
+  'date',
+  'time',
+  'image',
+  'location',
+  'capacity',
+  'recurrence',
+  'lat',
+  'lng',
+];
+
+function pickDraftFields(data) {
+  return Object.fromEntries(
+    DRAFT_FIELDS.filter((field) => data[field] !== undefined).map((field) => [
+      field,
+      data[field],
+    ])
+  );
+}
+
+// drafts of other users are reported as missing, so their ids can't be guessed
+function isOwnDraft(draft, ownerId) {
+  return draft && draft.ownerId === ownerId;
+}
+
+// the drafts of new events
+export function createDraftsData(storage) {
+  // the drafts of one user, the most recently changed draft first
+  async function getForOwner(ownerId) {
+    const drafts = await storage.read(DRAFTS);
+    return Object.values(drafts)
+      .filter((draft) => isOwnDraft(draft, ownerId))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  async function get(id, ownerId) {
+    const drafts = await storage.read(DRAFTS);
+
+    if (!isOwnDraft(drafts[id], ownerId)) {
+      throw new NotFoundError(`For the id ${id}, no draft could be found.`);
+    }
+
+    return drafts[id];
+  }
+
+  // creates a new draft if id is not set, otherwise the draft with this id is overwritten
+  function save(id, { data, step }, ownerId) {
+    return storage.update(DRAFTS, (drafts) => {
+      if (id && !isOwnDraft(drafts[id], ownerId)) {
+        throw new NotFoundError(`For the id ${id}, no draft could be found.`);
+      }
+
+      const draft = {
+        id: id ?? randomUUID(),
+        ownerId,
+        data: pickDraftFields(data),
+        step,
+        updatedAt: new Date().toISOString(),
+      };
+
+      return { data: { ...drafts, [draft.id]: draft }, result: draft };
+    });
+  }
+
+  function remove(id, ownerId) {
+    return storage.update(DRAFTS, (drafts) => {
+      if (!isOwnDraft(drafts[id], ownerId)) {
+        throw new NotFoundError(`For the id ${id}, no draft could be found.`);
+      }
+
+      const { [id]: removed, ...remaining } = drafts;
+      return { data: remaining, result: removed };
+    });
+  }
+
+  return { getForOwner, get, save, remove };
+}
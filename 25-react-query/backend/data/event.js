@@ -0,0 +1,225 @@
+import { randomUUID } from 'node:crypto';
+
+import { ConflictError, NotFoundError } from '../util/errors.js';
+import { geocode } from '../util/geo.js';
+import { buildIndex, searchIndex } from '../util/search-index.js';
+
+const EVENTS = 'events';
+
+// events stored before versioning was introduced count as version 1,
+// events stored before coordinates were introduced are geocoded when they are read
+function withDefaults(event) {
+  const versioned = { ...event, version: event.version ?? 1 };
+
+  if (event.lat === undefined) {
+    return { ...versioned, ...geocodeLocation(event.location) };
+  }
+
+  return versioned;
+}
+
+// deleted events stay in the file with a deletedAt timestamp until they are purged,
+// they are only found if deleted is true (i.e. in the trash)
+function findIndex(events, id, { deleted = false } = {}) {
+  const index = events.findIndex(
+    (event) => event.id === id && Boolean(event.deletedAt) === deleted
+  );
+  if (index === -1) {
+    throw new NotFoundError(`For the id ${id}, no event could be found.`);
+  }
+  return index;
+}
+
+// geocoded marks coordinates which were looked up in the gazetteer instead of being entered
+function geocodeLocation(location) {
+  const position = geocode(location);
+  return position ? { ...position, geocoded: true } : {};
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// the fields of the event schema which are stored as they are, the optional ones are normalized below.
+// any other field the client sends (e.g. an owner or a seat count) is dropped
+const EVENT_FIELDS = [
+  'title',
+  'description',
+  'date',
+  'time',
+  'image',
+  'location',
+];
+
+function pickEventFields(data) {
+  return Object.fromEntries(
+    EVENT_FIELDS.filter((field) => data[field] !== undefined).map((field) => [
+      field,
+      data[field],
+    ])
+  );
+}
+
+// capacity, recurrence and the coordinates are optional, they are only stored if they are set
+// events without capacity can be joined by any number of people
+// without coordinates (or with geocoded ones), the location is geocoded again as it may have changed
+function normalize(data) {
+  const { capacity, recurrence, lat, lng, geocoded } = data;
+  const event = pickEventFields(data);
+
+  if (!isEmpty(capacity)) {
+    event.capacity = Number(capacity);
+  }
+
+  if (!isEmpty(recurrence)) {
+    const { frequency, interval = 1, until } = recurrence;
+    event.recurrence = { frequency, interval, until };
+  }
+
+  if (isEmpty(lat) || isEmpty(lng) || geocoded) {
+    Object.assign(event, geocodeLocation(event.location));
+  } else {
+    event.lat = Number(lat);
+    event.lng = Number(lng);
+  }
+
+  return event;
+}
+
+// the events
+export function createEventsData(storage) {
+  // the search index is built on the first search and thrown away on every write.
+  // the generation makes sure an index built from outdated data is not kept
+  let index = null;
+  let generation = 0;
+
+  function updateEvents(updateFn) {
+    return storage.update(EVENTS, updateFn).then((result) => {
+      index = null;
+      generation++;
+      return result;
+    });
+  }
+
+  async function getAll() {
+    const events = await storage.read(EVENTS);
+    return events.filter((event) => !event.deletedAt).map(withDefaults);
+  }
+
+  async function getTrash() {
+    const events = await storage.read(EVENTS);
+    return events.filter((event) => event.deletedAt).map(withDefaults);
+  }
+
+  // ranked full-text search over title, description and location (see util/search-index.js)
+  async function search(query) {
+    if (!index) {
+      const indexGeneration = generation;
+      const newIndex = buildIndex(await getAll());
+
+      if (indexGeneration === generation) {
+        index = newIndex;
+      } else {
+        return searchIndex(newIndex, query);
+      }
+    }
+
+    return searchIndex(index, query);
+  }
+
+  async function get(id) {
+    const events = await storage.read(EVENTS);
+    return withDefaults(events[findIndex(events, id)]);
+  }
+
+  // ownerId is the id of the user who created the event, only the owner may change it
+  function add(data, ownerId) {
+    return updateEvents((events) => {
+      const event = {
+        ...normalize(data),
+        id: randomUUID(),
+        version: 1,
+        ownerId,
+      };
+      return { data: [...events, event], result: event };
+    });
+  }
+
+  // expectedVersion is the version the client based its changes on,
+  // if the event was changed in the meantime, the update is rejected
+  function replace(id, data, expectedVersion) {
+    return updateEvents((events) => {
+      const index = findIndex(events, id);
+      const current = withDefaults(events[index]);
+
+      if (
+        expectedVersion !== undefined &&
+        expectedVersion !== current.version
+      ) {
+        throw new ConflictError(
+          'The event was changed by someone else in the meantime.',
+          current
+        );
+      }
+
+      const event = {
+        ...normalize(data),
+        id,
+        version: current.version + 1,
+        ownerId: current.ownerId,
+      };
+      const updatedEvents = [...events];
+      updatedEvents[index] = event;
+
+      return { data: updatedEvents, result: event };
+    });
+  }
+
+  function remove(id) {
+    return updateEvents((events) => {
+      const index = findIndex(events, id);
+      const event = { ...events[index], deletedAt: new Date().toISOString() };
+      const updatedEvents = [...events];
+      updatedEvents[index] = event;
+
+      return { data: updatedEvents, result: withDefaults(event) };
+    });
+  }
+
+  function restore(id) {
+    return updateEvents((events) => {
+      const index = findIndex(events, id, { deleted: true });
+      const event = { ...events[index] };
+      delete event.deletedAt;
+      const updatedEvents = [...events];
+      updatedEvents[index] = event;
+
+      return { data: updatedEvents, result: withDefaults(event) };
+    });
+  }
+
+  // permanently removes the events which were deleted before the given date
+  function purge(deletedBefore) {
+    return updateEvents((events) => {
+      const isExpired = (event) =>
+        event.deletedAt && new Date(event.deletedAt) < deletedBefore;
+
+      return {
+        data: events.filter((event) => !isExpired(event)),
+        result: events.filter(isExpired),
+      };
+    });
+  }
+
+  return {
+    getAll,
+    getTrash,
+    search,
+    get,
+    add,
+    replace,
+    remove,
+    restore,
+    purge,
+  };
+}
@@ -0,0 +1,18 @@
+const IMAGES = 'images';
+
+// the selectable images
+export function createImagesData(storage) {
+  function getAll() {
+    return storage.read(IMAGES);
+  }
+
+  function add(image) {
+    return storage.update(
+      IMAGES,
+      (images) => ({ data: [...images, image], result: image }),
+      { space: 2 }
+    );
+  }
+
+  return { getAll, add };
+}
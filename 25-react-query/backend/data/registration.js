@@ -0,0 +1,85 @@
+import { randomUUID } from 'node:crypto';
+
+import { ConflictError, NotFoundError } from '../util/errors.js';
+
+// { [eventId]: [{ id, name, email, registeredAt, cancelKey }] }
+// the cancel key is only handed out to the person who registered, it is needed to cancel the registration
+const REGISTRATIONS = 'registrations';
+
+function isSameEmail(registration, email) {
+  return registration.email.toLowerCase() === email.trim().toLowerCase();
+}
+
+// the people registered for the events
+export function createRegistrationsData(storage) {
+  async function getForEvent(eventId) {
+    const registrations = await storage.read(REGISTRATIONS);
+    return registrations[eventId] ?? [];
+  }
+
+  // the capacity is checked inside the queued update,
+  // so two people can't both take the last seat at the same time
+  function add(eventId, attendee, capacity) {
+    return storage.update(REGISTRATIONS, (registrations) => {
+      const attendees = registrations[eventId] ?? [];
+
+      if (
+        attendees.some((registration) =>
+          isSameEmail(registration, attendee.email)
+        )
+      ) {
+        throw new ConflictError('You are already registered for this event.');
+      }
+
+      if (capacity !== undefined && attendees.length >= capacity) {
+        throw new ConflictError('Sorry, this event is fully booked.');
+      }
+
+      const registration = {
+        id: randomUUID(),
+        name: attendee.name.trim(),
+        email: attendee.email.trim(),
+        registeredAt: new Date().toISOString(),
+        cancelKey: randomUUID(),
+      };
+      const updatedAttendees = [...attendees, registration];
+
+      return {
+        data: { ...registrations, [eventId]: updatedAttendees },
+        result: { registration, attendeeCount: updatedAttendees.length },
+      };
+    });
+  }
+
+  function remove(eventId, email, cancelKey) {
+    return storage.update(REGISTRATIONS, (registrations) => {
+      const attendees = registrations[eventId] ?? [];
+      const registration = attendees.find((item) => isSameEmail(item, email));
+
+      // a wrong key is reported like a missing registration, so keys can't be guessed one by one
+      if (!registration || registration.cancelKey !== cancelKey) {
+        throw new NotFoundError(
+          'No registration could be found for this email.'
+        );
+      }
+
+      const updatedAttendees = attendees.filter(
+        (item) => item !== registration
+      );
+
+      return {
+        data: { ...registrations, [eventId]: updatedAttendees },
+        result: { attendeeCount: updatedAttendees.length },
+      };
+    });
+  }
+
+  function removeForEvent(eventId) {
+    return storage.update(REGISTRATIONS, (registrations) => {
+      const { [eventId]: removed, ...remaining } = registrations;
+      return { data: remaining, result: removed ?? [] };
+    });
+  }
+
+  return { getForEvent, add, remove, removeForEvent };
+}
@@ -0,0 +1,115 @@
+import { randomUUID } from 'node:crypto';
+
+import { NotFoundError } from '../util/errors.js';
+
+// { [eventId]: [{ id, action, authorId, createdAt, version, changes, snapshot }] }
+// authorId is the id of the user who made the change. revisions recorded before there were
+// user accounts have the name the client sent as author instead
+// the snapshot is the event after the change, it is used to revert to this revision
+const REVISIONS = 'revisions';
+
+// id, version and deletedAt are managed by the backend and not part of the history
+const TRACKED_FIELDS = [
+  'title',
+  'description',
+  'date',
+  'time',
+  'image',
+  'location',
+  'capacity',
+  'recurrence',
+  'lat',
+  'lng',
+];
+
+// returns [{ field, from, to }] for every tracked field that differs
+// objects (e.g. the recurrence) are compared by their JSON representation
+function diff(before, after) {
+  return TRACKED_FIELDS.filter(
+    (field) =>
+      JSON.stringify(before?.[field]) !== JSON.stringify(after?.[field])
+  ).map((field) => ({
+    field,
+    from: before?.[field] ?? null,
+    to: after?.[field] ?? null,
+  }));
+}
+
+function pickTrackedFields(event) {
+  return Object.fromEntries(
+    TRACKED_FIELDS.filter((field) => event[field] !== undefined).map(
+      (field) => [field, event[field]]
+    )
+  );
+}
+
+// the snapshots are only needed by the backend
+function withoutSnapshot({
+  id,
+  action,
+  author,
+  authorId,
+  createdAt,
+  version,
+  changes,
+}) {
+  return { id, action, author, authorId, createdAt, version, changes };
+}
+
+// the history of the events
+export function createRevisionsData(storage) {
+  // newest revision first
+  async function getForEvent(eventId) {
+    const revisions = await storage.read(REVISIONS);
+    return [...(revisions[eventId] ?? [])].reverse().map(withoutSnapshot);
+  }
+
+  async function get(eventId, revisionId) {
+    const revisions = await storage.read(REVISIONS);
+    const revision = (revisions[eventId] ?? []).find(
+      (item) => item.id === revisionId
+    );
+
+    if (!revision) {
+      throw new NotFoundError(
+        `For the id ${revisionId}, no revision could be found.`
+      );
+    }
+
+    return revision;
+  }
+
+  // action : created, updated, deleted, restored or reverted
+  // before / after : the event before and after the change (before is null for new events)
+  function record(eventId, { action, authorId, before, after }) {
+    return storage.update(REVISIONS, (revisions) => {
+      const revision = {
+        id: randomUUID(),
+        action,
+        authorId,
+        createdAt: new Date().toISOString(),
+        version: after.version,
+        changes: diff(before, after),
+        // geocoded coordinates are looked up again when the snapshot is restored
+        snapshot: { ...pickTrackedFields(after), geocoded: after.geocoded },
+      };
+
+      return {
+        data: {
+          ...revisions,
+          [eventId]: [...(revisions[eventId] ?? []), revision],
+        },
+        result: withoutSnapshot(revision),
+      };
+    });
+  }
+
+  function removeForEvent(eventId) {
+    return storage.update(REVISIONS, (revisions) => {
+      const { [eventId]: removed, ...remaining } = revisions;
+      return { data: remaining, result: removed ?? [] };
+    });
+  }
+
+  return { getForEvent, get, record, removeForEvent };
+}
@@ -0,0 +1,62 @@
+import { randomUUID } from 'node:crypto';
+
+import { ConflictError, NotFoundError } from '../util/errors.js';
+import { hashPassword } from '../util/auth.js';
+
+// [{ id, email, password }] - the password is stored as bcrypt hash
+const USERS = 'users';
+
+function isSameEmail(user, email) {
+  return user.email.toLowerCase() === email.trim().toLowerCase();
+}
+
+// the user accounts
+export function createUsersData(storage) {
+  async function getByEmail(email) {
+    const users = await storage.read(USERS);
+    const user = users.find((item) => isSameEmail(item, email));
+
+    if (!user) {
+      throw new NotFoundError(
+        `For the email ${email}, no user could be found.`
+      );
+    }
+
+    return user;
+  }
+
+  // returns the new user without the password
+  async function add({ email, password }) {
+    // hashing is slow, so it happens before the queued update
+    const hashedPassword = await hashPassword(password);
+
+    return storage.update(USERS, (users) => {
+      if (users.some((user) => isSameEmail(user, email))) {
+        throw new ConflictError('A user with this email exists already.');
+      }
+
+      const user = {
+        id: randomUUID(),
+        email: email.trim(),
+        password: hashedPassword,
+      };
+
+      return {
+        data: [...users, user],
+        result: { id: user.id, email: user.email },
+      };
+    });
+  }
+
+  // { [id]: email } for the given user ids, unknown ids are left out
+  async function getEmails(ids) {
+    const users = await storage.read(USERS);
+    return Object.fromEntries(
+      users
+        .filter((user) => ids.includes(user.id))
+        .map((user) => [user.id, user.email])
+    );
+  }
+
+  return { getByEmail, add, getEmails };
+}
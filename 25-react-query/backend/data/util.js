@@ -0,0 +1,94 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+
+// a storage keeps the data sets of the backend ("events", "comments", ...) :
+// storage.read(name) resolves with the stored data
+// storage.update(name, updateFn) - updateFn receives the stored data and returns { data, result },
+// data is stored and result is returned to the caller. if updateFn throws, nothing is stored.
+
+// one promise chain per data set : every update waits for the previous one to finish,
+// so concurrent requests can't read the same state and overwrite each other's changes
+function createWriteQueue() {
+  const queues = new Map();
+
+  return function enqueue(name, task) {
+    const previous = queues.get(name) ?? Promise.resolve();
+    const result = previous.then(task);
+    // a failed update must not block the ones queued after it
+    queues.set(
+      name,
+      result.catch(() => {})
+    );
+    return result;
+  };
+}
+
+// every data set is stored as <directory>/<name>.json
+// options.space : the indentation of the written files (e.g. 2 for files which are edited by hand)
+export function createFileStorage(directory) {
+  const enqueue = createWriteQueue();
+
+  function getFile(name) {
+    return path.join(directory, `${name}.json`);
+  }
+
+  async function read(name) {
+    const data = await fs.readFile(getFile(name), 'utf8');
+    return JSON.parse(data);
+  }
+
+  // the data is written to a temporary file first and then renamed,
+  // so readers never see a half written file
+  async function write(name, data, space) {
+    const file = getFile(name);
+    const tempFile = path.join(
+      directory,
+      `.${path.basename(file)}.${randomUUID()}.tmp`
+    );
+    await fs.writeFile(tempFile, JSON.stringify(data, null, space));
+    await fs.rename(tempFile, file);
+  }
+
+  function update(name, updateFn, { space } = {}) {
+    return enqueue(name, async () => {
+      const storedData = await read(name);
+      const { data, result } = await updateFn(storedData);
+      await write(name, data, space);
+      return result;
+    });
+  }
+
+  return { read, update };
+}
+
+// keeps the data sets in memory, e.g. for tests : initialData is { [name]: data }
+// the data is copied on every read and write, like the file storage, callers can't change the stored data by accident
+export function createMemoryStorage(initialData = {}) {
+  const enqueue = createWriteQueue();
+  const dataSets = new Map(
+    Object.entries(initialData).map(([name, data]) => [
+      name,
+      structuredClone(data),
+    ])
+  );
+
+  async function read(name) {
+    if (!dataSets.has(name)) {
+      throw new Error(`The data set ${name} does not exist.`);
+    }
+
+    return structuredClone(dataSets.get(name));
+  }
+
+  function update(name, updateFn) {
+    return enqueue(name, async () => {
+      const storedData = await read(name);
+      const { data, result } = await updateFn(storedData);
+      dataSets.set(name, structuredClone(data));
+      return result;
+    });
+  }
+
+  return { read, update };
+}
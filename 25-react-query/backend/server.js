@@ -0,0 +1,20 @@
+import process from 'node:process';
+
+import { createApp } from './app.js';
+
+const PORT = 3000;
+const PURGE_INTERVAL = 60 * 60 * 1000;
+
+// RESPONSE_DELAY (in ms, 0 turns it off) slows down some responses, so the loading states of the frontend can be seen
+// deleted events can be restored from the trash for TRASH_RETENTION_DAYS days
+const app = createApp({
+  delay: Number(process.env.RESPONSE_DELAY ?? 1000),
+  trashRetentionDays: Number(process.env.TRASH_RETENTION_DAYS ?? 30),
+});
+
+app.locals.purgeTrash();
+setInterval(app.locals.purgeTrash, PURGE_INTERVAL);
+
+app.listen(PORT, () => {
+  console.log(`Server running on port ${PORT}`);
+});
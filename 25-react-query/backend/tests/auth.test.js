@@ -0,0 +1,121 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import request from 'supertest';
+
+import { PASSWORD, createTestApp, signup } from './helpers.js';
+
+describe('POST /signup', () => {
+  test('creates the user and returns a token', async () => {
+    const { app, storage } = createTestApp();
+
+    const response = await request(app)
+      .post('/signup')
+      .send({ email: 'ann@example.com', password: PASSWORD })
+      .expect(201);
+
+    assert.equal(response.body.user.email, 'ann@example.com');
+    assert.ok(response.body.token);
+    assert.equal(response.body.user.password, undefined);
+
+    const [user] = await storage.read('users');
+    assert.notEqual(user.password, PASSWORD);
+  });
+
+  test('rejects invalid data with 422', async () => {
+    const { app } = createTestApp();
+
+    const response = await request(app)
+      .post('/signup')
+      .send({ email: 'not-an-email', password: '123' })
+      .expect(422);
+
+    assert.deepEqual(Object.keys(response.body.errors).sort(), [
+      'email',
+      'password',
+    ]);
+  });
+
+  test('rejects an email which is registered already', async () => {
+    const { app } = createTestApp();
+    await signup(app, 'ann@example.com');
+
+    const response = await request(app)
+      .post('/signup')
+      .send({ email: 'ANN@example.com', password: PASSWORD })
+      .expect(422);
+
+    assert.equal(response.body.errors.email, 'Email exists already.');
+  });
+
+  test('creates only one user for parallel signups with the same email', async () => {
+    const { app, storage } = createTestApp();
+
+    const responses = await Promise.all(
+      [1, 2].map(() =>
+        request(app)
+          .post('/signup')
+          .send({ email: 'ann@example.com', password: PASSWORD })
+      )
+    );
+
+    assert.deepEqual(
+      responses.map((response) => response.status).sort(),
+      [201, 422]
+    );
+    assert.equal((await storage.read('users')).length, 1);
+  });
+});
+
+describe('POST /login', () => {
+  test('returns a token for valid credentials', async () => {
+    const { app } = createTestApp();
+    await signup(app, 'ann@example.com');
+
+    const response = await request(app)
+      .post('/login')
+      .send({ email: 'ann@example.com', password: PASSWORD })
+      .expect(200);
+
+    assert.equal(response.body.user.email, 'ann@example.com');
+    assert.ok(response.body.token);
+  });
+
+  test('answers wrong passwords and unknown emails the same way', async () => {
+    const { app } = createTestApp();
+    await signup(app, 'ann@example.com');
+
+    const wrongPassword = await request(app)
+      .post('/login')
+      .send({ email: 'ann@example.com', password: 'wrong-password' })
+      .expect(422);
+    const unknownEmail = await request(app)
+      .post('/login')
+      .send({ email: 'bob@example.com', password: PASSWORD })
+      .expect(422);
+
+    assert.deepEqual(wrongPassword.body, unknownEmail.body);
+  });
+
+  test('rejects credentials which are not strings', async () => {
+    const { app } = createTestApp();
+
+    await request(app)
+      .post('/login')
+      .send({ email: ['ann@example.com'], password: PASSWORD })
+      .expect(422);
+  });
+});
+
+describe('authentication', () => {
+  test('rejects changes without a valid token', async () => {
+    const { app } = createTestApp();
+
+    await request(app).post('/events').send({ event: {} }).expect(401);
+    await request(app)
+      .post('/events')
+      .set('Authorization', 'Bearer invalid')
+      .send({ event: {} })
+      .expect(401);
+  });
+});
@@ -0,0 +1,130 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import request from 'supertest';
+
+import { createEvent, createTestApp, signup } from './helpers.js';
+
+async function createEventWithComments(count) {
+  const { app } = createTestApp();
+  const token = await signup(app);
+  const event = await createEvent(app, token);
+  const comments = [];
+
+  for (let number = 1; number <= count; number++) {
+    const response = await request(app)
+      .post(`/events/${event.id}/comments`)
+      .send({ comment: { author: 'Bob', text: `Comment ${number}` } })
+      .expect(201);
+    comments.push(response.body.comment);
+  }
+
+  return { app, event, comments };
+}
+
+describe('GET /events/:id/comments', () => {
+  test('returns one page of comments, the newest first', async () => {
+    const { app, event } = await createEventWithComments(3);
+
+    const response = await request(app)
+      .get(`/events/${event.id}/comments?page=1&limit=2`)
+      .expect(200);
+
+    assert.deepEqual(
+      response.body.comments.map((comment) => comment.text),
+      ['Comment 3', 'Comment 2']
+    );
+    assert.equal(response.body.pagination.nextPage, 2);
+    assert.equal(response.body.comments[0].deleteKey, undefined);
+  });
+
+  test('responds with 404 for unknown events', async () => {
+    const { app } = createTestApp();
+
+    await request(app).get('/events/unknown/comments').expect(404);
+  });
+});
+
+describe('POST /events/:id/comments', () => {
+  test('adds the comment and returns its delete key', async () => {
+    const { comments } = await createEventWithComments(1);
+
+    assert.equal(comments[0].author, 'Bob');
+    assert.ok(comments[0].deleteKey);
+  });
+
+  test('rejects invalid comments', async () => {
+    const { app, event } = await createEventWithComments(0);
+
+    await request(app).post(`/events/${event.id}/comments`).expect(400);
+    const response = await request(app)
+      .post(`/events/${event.id}/comments`)
+      .send({ comment: { author: '', text: 'x' } })
+      .expect(422);
+
+    assert.deepEqual(Object.keys(response.body.errors).sort(), [
+      'author',
+      'text',
+    ]);
+  });
+
+  test('responds with 404 for unknown events', async () => {
+    const { app } = createTestApp();
+
+    await request(app)
+      .post('/events/unknown/comments')
+      .send({ comment: { author: 'Bob', text: 'Hello' } })
+      .expect(404);
+  });
+
+  test('keeps all parallel comments', async () => {
+    const { app, event } = await createEventWithComments(0);
+
+    await Promise.all(
+      [1, 2, 3].map((number) =>
+        request(app)
+          .post(`/events/${event.id}/comments`)
+          .send({ comment: { author: 'Bob', text: `Comment ${number}` } })
+          .expect(201)
+      )
+    );
+
+    const response = await request(app)
+      .get(`/events/${event.id}/comments`)
+      .expect(200);
+    assert.equal(response.body.pagination.total, 3);
+  });
+});
+
+describe('DELETE /events/:id/comments/:commentId', () => {
+  test('deletes the comment with its delete key', async () => {
+    const { app, event, comments } = await createEventWithComments(1);
+
+    await request(app)
+      .delete(`/events/${event.id}/comments/${comments[0].id}`)
+      .send({ comment: { deleteKey: comments[0].deleteKey } })
+      .expect(200);
+  });
+
+  test('requires the delete key', async () => {
+    const { app, event, comments } = await createEventWithComments(1);
+
+    await request(app)
+      .delete(`/events/${event.id}/comments/${comments[0].id}`)
+      .send({})
+      .expect(400);
+  });
+
+  test('responds with 404 for wrong delete keys and unknown comments', async () => {
+    const { app, event, comments } = await createEventWithComments(1);
+
+    await request(app)
+      .delete(`/events/${event.id}/comments/${comments[0].id}`)
+      .send({ comment: { deleteKey: 'guessed' } })
+      .expect(404);
+    await request(app)
+      .delete(`/events/${event.id}/comments/unknown`)
+      .send({ comment: { deleteKey: comments[0].deleteKey } })
+      .expect(404);
+  });
+});
@@ -0,0 +1,118 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import request from 'supertest';
+
+import { createTestApp, signup } from './helpers.js';
+
+function auth(token) {
+  return ['Authorization', `Bearer ${token}`];
+}
+
+async function saveDraft(app, token, title) {
+  const response = await request(app)
+    .post('/events/drafts')
+    .set(...auth(token))
+    .send({ draft: { data: { title, unknownField: 1 }, step: 1 } })
+    .expect(201);
+
+  return response.body.draft;
+}
+
+describe('event drafts', () => {
+  test('saves, loads, updates and deletes a draft', async () => {
+    const { app } = createTestApp();
+    const token = await signup(app);
+    const draft = await saveDraft(app, token, 'Draft');
+
+    assert.deepEqual(draft.data, { title: 'Draft' });
+
+    const loaded = await request(app)
+      .get(`/events/drafts/${draft.id}`)
+      .set(...auth(token))
+      .expect(200);
+    assert.equal(loaded.body.draft.step, 1);
+
+    const updated = await request(app)
+      .put(`/events/drafts/${draft.id}`)
+      .set(...auth(token))
+      .send({ draft: { data: { title: 'Changed' }, step: 2 } })
+      .expect(200);
+    assert.equal(updated.body.draft.data.title, 'Changed');
+
+    await request(app)
+      .delete(`/events/drafts/${draft.id}`)
+      .set(...auth(token))
+      .expect(200);
+    await request(app)
+      .get(`/events/drafts/${draft.id}`)
+      .set(...auth(token))
+      .expect(404);
+  });
+
+  test('lists only the drafts of the logged in user', async () => {
+    const { app } = createTestApp();
+    const ann = await signup(app, 'ann@example.com');
+    const bob = await signup(app, 'bob@example.com');
+    await saveDraft(app, ann, 'First');
+    await saveDraft(app, bob, 'Other');
+    await saveDraft(app, ann, 'Second');
+
+    const response = await request(app)
+      .get('/events/drafts')
+      .set(...auth(ann))
+      .expect(200);
+
+    assert.deepEqual(
+      response.body.drafts.map((draft) => draft.data.title).sort(),
+      ['First', 'Second']
+    );
+  });
+
+  test('rejects drafts without data or step with 400', async () => {
+    const { app } = createTestApp();
+    const token = await signup(app);
+
+    await request(app)
+      .post('/events/drafts')
+      .set(...auth(token))
+      .send({ draft: { data: {}, step: -1 } })
+      .expect(400);
+    await request(app)
+      .post('/events/drafts')
+      .set(...auth(token))
+      .send({})
+      .expect(400);
+  });
+
+  test('reports the drafts of other users as missing', async () => {
+    const { app } = createTestApp();
+    const ann = await signup(app, 'ann@example.com');
+    const bob = await signup(app, 'bob@example.com');
+    const draft = await saveDraft(app, ann, 'Private');
+
+    await request(app)
+      .get(`/events/drafts/${draft.id}`)
+      .set(...auth(bob))
+      .expect(404);
+    await request(app)
+      .put(`/events/drafts/${draft.id}`)
+      .set(...auth(bob))
+      .send({ draft: { data: {}, step: 0 } })
+      .expect(404);
+    await request(app)
+      .delete(`/events/drafts/${draft.id}`)
+      .set(...auth(bob))
+      .expect(404);
+  });
+
+  test('requires a logged in user', async () => {
+    const { app } = createTestApp();
+
+    await request(app).get('/events/drafts').expect(401);
+    await request(app)
+      .post('/events/drafts')
+      .send({ draft: { data: {}, step: 0 } })
+      .expect(401);
+  });
+});
@@ -0,0 +1,469 @@
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { describe, test } from 'node:test';
+
+import request from 'supertest';
+
+import { createEvent, createTestApp, eventData, signup } from './helpers.js';
+
+function auth(token) {
+  return ['Authorization', `Bearer ${token}`];
+}
+
+describe('GET /events', () => {
+  async function createListedEvents() {
+    const { app } = createTestApp();
+    const token = await signup(app);
+    await createEvent(app, token, {
+      title: 'Cooking Class',
+      date: '2030-03-01',
+      location: 'Munich',
+    });
+    await createEvent(app, token, {
+      title: 'Art Walk',
+      date: '2030-01-15',
+      location: 'Berlin',
+    });
+    await createEvent(app, token, {
+      title: 'Book Club',
+      date: '2030-02-20',
+      location: 'Hamburg',
+    });
+    return app;
+  }
+
+  test('lists all events as a single page', async () => {
+    const app = await createListedEvents();
+
+    const response = await request(app).get('/events').expect(200);
+
+    assert.equal(response.body.events.length, 3);
+    assert.equal(response.body.pagination.total, 3);
+    assert.equal(response.body.pagination.totalPages, 1);
+  });
+
+  test('paginates the events', async () => {
+    const app = await createListedEvents();
+
+    const response = await request(app)
+      .get('/events?page=2&limit=2')
+      .expect(200);
+
+    assert.equal(response.body.events.length, 1);
+    assert.equal(response.body.pagination.prevPage, 1);
+    assert.equal(response.body.pagination.nextPage, null);
+  });
+
+  test('sorts and filters the events', async () => {
+    const app = await createListedEvents();
+
+    const sorted = await request(app)
+      .get('/events?sort=date&order=desc')
+      .expect(200);
+    const filtered = await request(app)
+      .get('/events?location=berlin')
+      .expect(200);
+    const inRange = await request(app)
+      .get('/events?from=2030-02-01&to=2030-02-28')
+      .expect(200);
+
+    assert.deepEqual(
+      sorted.body.events.map((event) => event.title),
+      ['Cooking Class', 'Book Club', 'Art Walk']
+    );
+    assert.deepEqual(
+      filtered.body.events.map((event) => event.title),
+      ['Art Walk']
+    );
+    assert.deepEqual(
+      inRange.body.events.map((event) => event.title),
+      ['Book Club']
+    );
+  });
+
+  test('sorts the events by the order they were added', async () => {
+    const app = await createListedEvents();
+
+    const response = await request(app)
+      .get('/events?sort=added&order=desc&page=1&limit=2')
+      .expect(200);
+
+    assert.deepEqual(
+      response.body.events.map((event) => event.title),
+      ['Book Club', 'Art Walk']
+    );
+    assert.equal(response.body.pagination.nextPage, 2);
+  });
+
+  test('searches the events', async () => {
+    const app = await createListedEvents();
+
+    const response = await request(app)
+      .get('/events?search=cooking')
+      .expect(200);
+
+    assert.deepEqual(
+      response.body.events.map((event) => event.title),
+      ['Cooking Class']
+    );
+  });
+
+  test('rejects invalid query parameters with 400', async () => {
+    const { app } = createTestApp();
+
+    await request(app).get('/events?page=0').expect(400);
+    await request(app).get('/events?sort=price').expect(400);
+    await request(app).get('/events?order=up').expect(400);
+    await request(app).get('/events?from=01.02.2030').expect(400);
+    await request(app).get('/events?sort=distance').expect(400);
+    await request(app).get('/events?near=north').expect(400);
+    await request(app).get('/events?location=a&location=b').expect(400);
+  });
+});
+
+describe('GET /events/:id', () => {
+  test('returns the event with its seats', async () => {
+    const { app } = createTestApp();
+    const token = await signup(app);
+    const event = await createEvent(app, token, { capacity: 10 });
+
+    const response = await request(app).get(`/events/${event.id}`).expect(200);
+
+    assert.equal(response.body.event.title, event.title);
+    assert.equal(response.body.event.seatsLeft, 10);
+    assert.equal(response.body.event.attendeeCount, 0);
+  });
+
+  test('responds with 404 for unknown events', async () => {
+    const { app } = createTestApp();
+
+    await request(app).get('/events/unknown').expect(404);
+  });
+});
+
+describe('POST /events', () => {
+  test('creates the event for the logged in user', async () => {
+    const { app, storage } = createTestApp();
+    const token = await signup(app);
+
+    const response = await request(app)
+      .post('/events')
+      .set(...auth(token))
+      .send({ event: eventData({ id: 'chosen-id', version: 7 }) })
+      .expect(200);
+
+    const { event } = response.body;
+    const [user] = await storage.read('users');
+    assert.notEqual(event.id, 'chosen-id');
+    assert.equal(event.version, 1);
+    assert.equal(event.ownerId, user.id);
+  });
+
+  test('stores only the fields of the event', async () => {
+    const { app, storage } = createTestApp();
+    const token = await signup(app);
+
+    const response = await request(app)
+      .post('/events')
+      .set(...auth(token))
+      .send({
+        event: eventData({
+          foo: 'bar',
+          attendeeCount: 99,
+          createdBy: 'someone-else',
+          deletedAt: '2030-01-01T00:00:00.000Z',
+        }),
+      })
+      .expect(200);
+
+    const [storedEvent] = await storage.read('events');
+    for (const field of ['foo', 'attendeeCount', 'createdBy', 'deletedAt']) {
+      assert.equal(response.body.event[field], undefined);
+      assert.equal(storedEvent[field], undefined);
+    }
+    await request(app).get(`/events/${storedEvent.id}`).expect(200);
+  });
+
+  test('responds with 400 without an event', async () => {
+    const { app } = createTestApp();
+    const token = await signup(app);
+
+    await request(app)
+      .post('/events')
+      .set(...auth(token))
+      .send({})
+      .expect(400);
+  });
+
+  test('rejects invalid events with 422', async () => {
+    const { app } = createTestApp();
+    const token = await signup(app);
+
+    const response = await request(app)
+      .post('/events')
+      .set(...auth(token))
+      .send({
+        event: eventData({ title: 'A', date: '2030-02-30', image: 'x.jpg' }),
+      })
+      .expect(422);
+
+    assert.deepEqual(Object.keys(response.body.errors).sort(), [
+      'date',
+      'image',
+      'title',
+    ]);
+  });
+});
+
+describe('PUT /events/:id', () => {
+  test('updates the event and increases its version', async () => {
+    const { app } = createTestApp();
+    const token = await signup(app);
+    const event = await createEvent(app, token);
+
+    const response = await request(app)
+      .put(`/events/${event.id}`)
+      .set(...auth(token))
+      .send({ event: { ...event, title: 'Updated Meetup' } })
+      .expect(200);
+
+    assert.equal(response.body.event.title, 'Updated Meetup');
+    assert.equal(response.body.event.version, 2);
+  });
+
+  test('drops fields which are not part of the event', async () => {
+    const { app, storage } = createTestApp();
+    const token = await signup(app);
+    const event = await createEvent(app, token);
+
+    await request(app)
+      .put(`/events/${event.id}`)
+      .set(...auth(token))
+      .send({ event: { ...event, ownerId: 'someone-else', attendeeCount: 99 } })
+      .expect(200);
+
+    const [storedEvent] = await storage.read('events');
+    assert.equal(storedEvent.ownerId, event.ownerId);
+    assert.equal(storedEvent.attendeeCount, undefined);
+  });
+
+  test('rejects invalid events with 422', async () => {
+    const { app } = createTestApp();
+    const token = await signup(app);
+    const event = await createEvent(app, token);
+
+    const response = await request(app)
+      .put(`/events/${event.id}`)
+      .set(...auth(token))
+      .send({ event: { ...event, time: '25:00' } })
+      .expect(422);
+
+    assert.ok(response.body.errors.time);
+  });
+
+  test('responds with 404 for unknown events', async () => {
+    const { app } = createTestApp();
+    const token = await signup(app);
+
+    await request(app)
+      .put('/events/unknown')
+      .set(...auth(token))
+      .send({ event: eventData() })
+      .expect(404);
+  });
+
+  test('only lets the owner change the event', async () => {
+    const { app } = createTestApp();
+    const owner = await signup(app, 'ann@example.com');
+    const other = await signup(app, 'bob@example.com');
+    const event = await createEvent(app, owner);
+
+    await request(app)
+      .put(`/events/${event.id}`)
+      .set(...auth(other))
+      .send({ event: { ...event, title: 'Taken over' } })
+      .expect(403);
+  });
+
+  test('rejects an update based on an outdated version with 409', async () => {
+    const { app } = createTestApp();
+    const token = await signup(app);
+    const event = await createEvent(app, token);
+
+    await request(app)
+      .put(`/events/${event.id}`)
+      .set(...auth(token))
+      .send({ event: { ...event, title: 'First change' } })
+      .expect(200);
+
+    const response = await request(app)
+      .put(`/events/${event.id}`)
+      .set(...auth(token))
+      .send({ event: { ...event, title: 'Second change' } })
+      .expect(409);
+
+    // the stored event is sent along, so the client can reconcile
+    assert.equal(response.body.event.title, 'First change');
+  });
+
+  test('accepts only one of two parallel updates of the same version', async () => {
+    const { app, storage } = createTestApp();
+    const token = await signup(app);
+    const event = await createEvent(app, token);
+
+    const responses = await Promise.all(
+      ['First change', 'Second change'].map((title) =>
+        request(app)
+          .put(`/events/${event.id}`)
+          .set(...auth(token))
+          .send({ event: { ...event, title } })
+      )
+    );
+
+    assert.deepEqual(
+      responses.map((response) => response.status).sort(),
+      [200, 409]
+    );
+    const [storedEvent] = await storage.read('events');
+    assert.equal(storedEvent.version, 2);
+  });
+});
+
+describe('DELETE /events/:id and the trash', () => {
+  test('moves the event to the trash and restores it', async () => {
+    const { app } = createTestApp();
+    const token = await signup(app);
+    const event = await createEvent(app, token);
+
+    await request(app)
+      .delete(`/events/${event.id}`)
+      .set(...auth(token))
+      .expect(200);
+    await request(app).get(`/events/${event.id}`).expect(404);
+
+    const trash = await request(app)
+      .get('/events/trash')
+      .set(...auth(token))
+      .expect(200);
+    assert.deepEqual(
+      trash.body.events.map((item) => item.id),
+      [event.id]
+    );
+
+    await request(app)
+      .post(`/events/${event.id}/restore`)
+      .set(...auth(token))
+      .expect(200);
+    await request(app).get(`/events/${event.id}`).expect(200);
+  });
+
+  test('responds with 404 for unknown events', async () => {
+    const { app } = createTestApp();
+    const token = await signup(app);
+
+    await request(app)
+      .delete('/events/unknown')
+      .set(...auth(token))
+      .expect(404);
+    await request(app)
+      .post('/events/unknown/restore')
+      .set(...auth(token))
+      .expect(404);
+  });
+
+  test('only lets the owner delete and restore the event', async () => {
+    const { app } = createTestApp();
+    const owner = await signup(app, 'ann@example.com');
+    const other = await signup(app, 'bob@example.com');
+    const event = await createEvent(app, owner);
+
+    await request(app)
+      .delete(`/events/${event.id}`)
+      .set(...auth(other))
+      .expect(403);
+    await request(app)
+      .delete(`/events/${event.id}`)
+      .set(...auth(owner))
+      .expect(200);
+
+    const trash = await request(app)
+      .get('/events/trash')
+      .set(...auth(other))
+      .expect(200);
+    assert.equal(trash.body.events.length, 0);
+    await request(app)
+      .post(`/events/${event.id}/restore`)
+      .set(...auth(other))
+      .expect(403);
+  });
+
+  test('purges events which are in the trash for too long', async () => {
+    const { app, storage } = createTestApp({
+      events: [
+        { id: 'old', title: 'Old', deletedAt: '2020-01-01T00:00:00.000Z' },
+        { id: 'recent', title: 'Recent', deletedAt: new Date().toISOString() },
+      ],
+      registrations: { old: [], recent: [] },
+    });
+
+    await app.locals.purgeTrash();
+
+    const events = await storage.read('events');
+    assert.deepEqual(
+      events.map((event) => event.id),
+      ['recent']
+    );
+    assert.deepEqual(Object.keys(await storage.read('registrations')), [
+      'recent',
+    ]);
+  });
+});
+
+describe('calendar export', () => {
+  test('exports all events and single events', async () => {
+    const { app } = createTestApp();
+    const token = await signup(app);
+    const event = await createEvent(app, token);
+
+    const feed = await request(app).get('/events.ics').expect(200);
+    const single = await request(app)
+      .get(`/events/${event.id}/ics`)
+      .expect(200);
+
+    assert.match(feed.headers['content-type'], /text\/calendar/);
+    assert.match(feed.text, /SUMMARY:Web Dev Meetup/);
+    assert.match(single.text, /BEGIN:VEVENT/);
+  });
+
+  test('responds with 404 for unknown events', async () => {
+    const { app } = createTestApp();
+
+    await request(app).get('/events/unknown/ics').expect(404);
+  });
+});
+
+describe('GET /events/stream', () => {
+  test('notifies connected clients about changes', async (t) => {
+    const { app } = createTestApp();
+    const token = await signup(app);
+    const server = app.listen(0);
+    t.after(() => server.close());
+
+    const message = await new Promise((resolve, reject) => {
+      const streamRequest = http.get(
+        `http://localhost:${server.address().port}/events/stream`,
+        (response) => {
+          response.setEncoding('utf8');
+          response.on('data', (chunk) => {
+            streamRequest.destroy();
+            resolve(chunk);
+          });
+          createEvent(app, token).catch(reject);
+        }
+      );
+      streamRequest.on('error', reject);
+    });
+
+    assert.match(message, /^event: created\n/);
+  });
+});
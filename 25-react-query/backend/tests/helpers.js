@@ -0,0 +1,56 @@
+import request from 'supertest';
+
+import { createApp } from '../app.js';
+import { createMemoryStorage } from '../data/util.js';
+
+export const IMAGE = { path: 'park.jpg', caption: 'A park' };
+export const PASSWORD = 'secret123';
+
+// every test gets its own app with empty in-memory data, initialData replaces single data sets
+export function createTestApp(initialData = {}, options = {}) {
+  const storage = createMemoryStorage({
+    events: [],
+    images: [IMAGE],
+    users: [],
+    comments: {},
+    registrations: {},
+    revisions: {},
+    drafts: {},
+    ...initialData,
+  });
+
+  return { app: createApp({ storage, ...options }), storage };
+}
+
+// resolves with the token of the new user
+export async function signup(app, email = 'ann@example.com') {
+  const response = await request(app)
+    .post('/signup')
+    .send({ email, password: PASSWORD })
+    .expect(201);
+
+  return response.body.token;
+}
+
+export function eventData(fields = {}) {
+  return {
+    title: 'Web Dev Meetup',
+    description: 'Talks about the latest web technologies.',
+    date: '2030-05-10',
+    time: '18:30',
+    image: IMAGE.path,
+    location: 'Berlin',
+    ...fields,
+  };
+}
+
+// resolves with the created event (including its id and version)
+export async function createEvent(app, token, fields) {
+  const response = await request(app)
+    .post('/events')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ event: eventData(fields) })
+    .expect(200);
+
+  return response.body.event;
+}
@@ -0,0 +1,163 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import request from 'supertest';
+
+import { createEvent, createTestApp, signup } from './helpers.js';
+
+function auth(token) {
+  return ['Authorization', `Bearer ${token}`];
+}
+
+// creates an event and changes its title once, so it has two revisions
+async function createChangedEvent() {
+  const { app } = createTestApp();
+  const owner = await signup(app, 'ann@example.com');
+  const event = await createEvent(app, owner, { title: 'First title' });
+  const response = await request(app)
+    .put(`/events/${event.id}`)
+    .set(...auth(owner))
+    .send({ event: { ...event, title: 'Second title' } })
+    .expect(200);
+
+  return { app, owner, event: response.body.event };
+}
+
+describe('GET /events/:id/history', () => {
+  test('lists the revisions with their changes, the newest first', async () => {
+    const { app, event } = await createChangedEvent();
+
+    const response = await request(app)
+      .get(`/events/${event.id}/history`)
+      .expect(200);
+
+    const [updated, created] = response.body.revisions;
+    assert.equal(updated.action, 'updated');
+    assert.deepEqual(updated.changes, [
+      { field: 'title', from: 'First title', to: 'Second title' },
+    ]);
+    assert.equal(created.action, 'created');
+    assert.equal(updated.snapshot, undefined);
+  });
+
+  test('names the authors only for the owner of the event', async () => {
+    const { app, owner, event } = await createChangedEvent();
+    const other = await signup(app, 'bob@example.com');
+
+    const anonymous = await request(app)
+      .get(`/events/${event.id}/history`)
+      .expect(200);
+    const otherUser = await request(app)
+      .get(`/events/${event.id}/history`)
+      .set(...auth(other))
+      .expect(200);
+    const ownerUser = await request(app)
+      .get(`/events/${event.id}/history`)
+      .set(...auth(owner))
+      .expect(200);
+
+    const authors = (response) =>
+      response.body.revisions.map((revision) => revision.author);
+    assert.deepEqual(authors(anonymous), [null, null]);
+    assert.deepEqual(authors(otherUser), [null, null]);
+    assert.deepEqual(authors(ownerUser), [
+      'ann@example.com',
+      'ann@example.com',
+    ]);
+  });
+
+  test('responds with 404 for unknown events', async () => {
+    const { app } = createTestApp();
+
+    await request(app).get('/events/unknown/history').expect(404);
+  });
+});
+
+describe('POST /events/:id/history/:revisionId/revert', () => {
+  async function getCreatedRevision(app, event) {
+    const response = await request(app).get(`/events/${event.id}/history`);
+    return response.body.revisions.find(
+      (revision) => revision.action === 'created'
+    );
+  }
+
+  test('restores the snapshot of the revision', async () => {
+    const { app, owner, event } = await createChangedEvent();
+    const revision = await getCreatedRevision(app, event);
+
+    const response = await request(app)
+      .post(`/events/${event.id}/history/${revision.id}/revert`)
+      .set(...auth(owner))
+      .send({ version: event.version })
+      .expect(200);
+
+    assert.equal(response.body.event.title, 'First title');
+    assert.equal(response.body.event.version, event.version + 1);
+  });
+
+  test('responds with 404 for unknown revisions and events', async () => {
+    const { app, owner, event } = await createChangedEvent();
+
+    await request(app)
+      .post(`/events/${event.id}/history/unknown/revert`)
+      .set(...auth(owner))
+      .send({ version: event.version })
+      .expect(404);
+    await request(app)
+      .post('/events/unknown/history/unknown/revert')
+      .set(...auth(owner))
+      .send({})
+      .expect(404);
+  });
+
+  test('only lets the owner revert the event', async () => {
+    const { app, event } = await createChangedEvent();
+    const other = await signup(app, 'bob@example.com');
+    const revision = await getCreatedRevision(app, event);
+
+    await request(app)
+      .post(`/events/${event.id}/history/${revision.id}/revert`)
+      .set(...auth(other))
+      .send({ version: event.version })
+      .expect(403);
+  });
+
+  test('rejects a revert based on an outdated version with 409', async () => {
+    const { app, owner, event } = await createChangedEvent();
+    const revision = await getCreatedRevision(app, event);
+
+    await request(app)
+      .post(`/events/${event.id}/history/${revision.id}/revert`)
+      .set(...auth(owner))
+      .send({ version: event.version - 1 })
+      .expect(409);
+  });
+
+  test('rejects a snapshot whose capacity is lower than the registrations with 422', async () => {
+    const { app } = createTestApp();
+    const owner = await signup(app);
+    const event = await createEvent(app, owner, { capacity: 1 });
+    const updated = await request(app)
+      .put(`/events/${event.id}`)
+      .set(...auth(owner))
+      .send({ event: { ...event, capacity: 5 } })
+      .expect(200);
+    await request(app)
+      .post(`/events/${event.id}/registrations`)
+      .send({ registration: { name: 'Bob', email: 'bob@example.com' } })
+      .expect(201);
+    await request(app)
+      .post(`/events/${event.id}/registrations`)
+      .send({ registration: { name: 'Eve', email: 'eve@example.com' } })
+      .expect(201);
+    const revision = await getCreatedRevision(app, event);
+
+    const response = await request(app)
+      .post(`/events/${event.id}/history/${revision.id}/revert`)
+      .set(...auth(owner))
+      .send({ version: updated.body.event.version })
+      .expect(422);
+
+    assert.ok(response.body.errors.capacity);
+  });
+});
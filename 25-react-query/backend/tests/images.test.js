@@ -0,0 +1,142 @@
+import assert from 'node:assert/strict';
+import { Buffer } from 'node:buffer';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { describe, test } from 'node:test';
+
+import sharp from 'sharp';
+import request from 'supertest';
+
+import { IMAGE, createTestApp, signup } from './helpers.js';
+
+// uploaded files are written to a temporary public directory, which is removed after the test
+async function createUploadApp(t) {
+  const publicDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'events-'));
+  t.after(() => fs.rm(publicDirectory, { recursive: true, force: true }));
+
+  const { app, storage } = createTestApp({}, { publicDirectory });
+  const token = await signup(app);
+  return { app, storage, token, publicDirectory };
+}
+
+function createPng() {
+  return sharp({
+    create: {
+      width: 320,
+      height: 240,
+      channels: 3,
+      background: { r: 200, g: 100, b: 50 },
+    },
+  })
+    .png()
+    .toBuffer();
+}
+
+describe('GET /events/images', () => {
+  test('lists the selectable images', async () => {
+    const { app } = createTestApp();
+
+    const response = await request(app).get('/events/images').expect(200);
+
+    assert.deepEqual(response.body.images, [IMAGE]);
+  });
+});
+
+describe('POST /events/images', () => {
+  test('stores the image with a thumbnail', async (t) => {
+    const { app, storage, token, publicDirectory } = await createUploadApp(t);
+
+    const response = await request(app)
+      .post('/events/images')
+      .set('Authorization', `Bearer ${token}`)
+      .field('caption', 'Sunset')
+      .attach('image', await createPng(), {
+        filename: 'sunset.png',
+        contentType: 'image/png',
+      })
+      .expect(201);
+
+    const { image } = response.body;
+    assert.equal(image.caption, 'Sunset');
+    const thumbnail = await sharp(
+      path.join(publicDirectory, image.thumbnail)
+    ).metadata();
+    assert.equal(thumbnail.width, 160);
+    assert.deepEqual((await storage.read('images')).at(-1), image);
+  });
+
+  test('names the file after the format of its content', async (t) => {
+    const { app, token } = await createUploadApp(t);
+
+    const response = await request(app)
+      .post('/events/images')
+      .set('Authorization', `Bearer ${token}`)
+      .attach('image', await createPng(), {
+        filename: 'sunset.jpg',
+        contentType: 'image/jpeg',
+      })
+      .expect(201);
+
+    assert.match(response.body.image.path, /\.png$/);
+  });
+
+  test('rejects captions which are too long with 422', async (t) => {
+    const { app, token } = await createUploadApp(t);
+
+    const response = await request(app)
+      .post('/events/images')
+      .set('Authorization', `Bearer ${token}`)
+      .field('caption', 'x'.repeat(201))
+      .attach('image', await createPng(), {
+        filename: 'sunset.png',
+        contentType: 'image/png',
+      })
+      .expect(422);
+
+    assert.ok(response.body.errors.caption);
+  });
+
+  test('requires an image file', async (t) => {
+    const { app, token } = await createUploadApp(t);
+
+    await request(app)
+      .post('/events/images')
+      .set('Authorization', `Bearer ${token}`)
+      .field('caption', 'Nothing')
+      .expect(400);
+    await request(app)
+      .post('/events/images')
+      .set('Authorization', `Bearer ${token}`)
+      .attach('image', Buffer.from('text'), {
+        filename: 'notes.txt',
+        contentType: 'text/plain',
+      })
+      .expect(400);
+  });
+
+  test('rejects files which are not really images with 422', async (t) => {
+    const { app, token } = await createUploadApp(t);
+
+    await request(app)
+      .post('/events/images')
+      .set('Authorization', `Bearer ${token}`)
+      .attach('image', Buffer.from('not a png'), {
+        filename: 'fake.png',
+        contentType: 'image/png',
+      })
+      .expect(422);
+  });
+
+  test('requires a logged in user', async (t) => {
+    const { app } = await createUploadApp(t);
+
+    await request(app)
+      .post('/events/images')
+      .attach('image', await createPng(), {
+        filename: 'sunset.png',
+        contentType: 'image/png',
+      })
+      .expect(401);
+  });
+});
@@ -0,0 +1,143 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import request from 'supertest';
+
+import { createEvent, createTestApp, signup } from './helpers.js';
+
+async function createEventWithCapacity(capacity) {
+  const { app, storage } = createTestApp();
+  const token = await signup(app);
+  const event = await createEvent(app, token, { capacity });
+  return { app, storage, event };
+}
+
+function register(app, eventId, registration) {
+  return request(app)
+    .post(`/events/${eventId}/registrations`)
+    .send({ registration });
+}
+
+describe('POST /events/:id/registrations', () => {
+  test('registers the person and returns a cancel key', async () => {
+    const { app, event } = await createEventWithCapacity(2);
+
+    const response = await register(app, event.id, {
+      name: 'Bob',
+      email: 'bob@example.com',
+    }).expect(201);
+
+    assert.equal(response.body.registration.name, 'Bob');
+    assert.ok(response.body.registration.cancelKey);
+    assert.equal(response.body.registration.email, undefined);
+    assert.equal(response.body.attendeeCount, 1);
+    assert.equal(response.body.seatsLeft, 1);
+  });
+
+  test('rejects invalid registrations', async () => {
+    const { app, event } = await createEventWithCapacity(2);
+
+    await request(app)
+      .post(`/events/${event.id}/registrations`)
+      .send({})
+      .expect(400);
+    const response = await register(app, event.id, {
+      name: 'B',
+      email: 'bob',
+    }).expect(422);
+
+    assert.deepEqual(Object.keys(response.body.errors).sort(), [
+      'email',
+      'name',
+    ]);
+  });
+
+  test('responds with 404 for unknown events', async () => {
+    const { app } = createTestApp();
+
+    await register(app, 'unknown', {
+      name: 'Bob',
+      email: 'bob@example.com',
+    }).expect(404);
+  });
+
+  test('rejects a second registration with the same email with 409', async () => {
+    const { app, event } = await createEventWithCapacity(5);
+    await register(app, event.id, {
+      name: 'Bob',
+      email: 'bob@example.com',
+    }).expect(201);
+
+    await register(app, event.id, {
+      name: 'Robert',
+      email: 'BOB@example.com',
+    }).expect(409);
+  });
+
+  test('gives the last seat to only one of two parallel registrations', async () => {
+    const { app, storage, event } = await createEventWithCapacity(1);
+
+    const responses = await Promise.all(
+      ['bob@example.com', 'eve@example.com'].map((email) =>
+        register(app, event.id, { name: 'Guest', email })
+      )
+    );
+
+    assert.deepEqual(
+      responses.map((response) => response.status).sort(),
+      [201, 409]
+    );
+    const registrations = await storage.read('registrations');
+    assert.equal(registrations[event.id].length, 1);
+  });
+});
+
+describe('DELETE /events/:id/registrations', () => {
+  async function createRegistration() {
+    const { app, event } = await createEventWithCapacity(2);
+    const response = await register(app, event.id, {
+      name: 'Bob',
+      email: 'bob@example.com',
+    }).expect(201);
+
+    return { app, event, cancelKey: response.body.registration.cancelKey };
+  }
+
+  function cancel(app, eventId, registration) {
+    return request(app)
+      .delete(`/events/${eventId}/registrations`)
+      .send({ registration });
+  }
+
+  test('cancels the registration with its cancel key', async () => {
+    const { app, event, cancelKey } = await createRegistration();
+
+    const response = await cancel(app, event.id, {
+      email: 'bob@example.com',
+      cancelKey,
+    }).expect(200);
+
+    assert.equal(response.body.attendeeCount, 0);
+    assert.equal(response.body.seatsLeft, 2);
+  });
+
+  test('requires the email and the cancel key', async () => {
+    const { app, event } = await createRegistration();
+
+    await cancel(app, event.id, { email: 5 }).expect(400);
+    await cancel(app, event.id, { email: 'bob@example.com' }).expect(400);
+  });
+
+  test('responds with 404 for wrong cancel keys and unknown events', async () => {
+    const { app, event, cancelKey } = await createRegistration();
+
+    await cancel(app, event.id, {
+      email: 'bob@example.com',
+      cancelKey: 'guessed',
+    }).expect(404);
+    await cancel(app, 'unknown', {
+      email: 'bob@example.com',
+      cancelKey,
+    }).expect(404);
+  });
+});
@@ -0,0 +1,70 @@
+import process from 'node:process';
+
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+
+import { ForbiddenError, NotAuthError } from './errors.js';
+
+// set JWT_SECRET in production, the fallback is only meant for local development
+const KEY = process.env.JWT_SECRET ?? 'supersecret';
+const TOKEN_DURATION = '1h';
+
+export function createJSONToken(user) {
+  return jwt.sign({ userId: user.id, email: user.email }, KEY, {
+    expiresIn: TOKEN_DURATION,
+  });
+}
+
+export function hashPassword(password) {
+  return bcrypt.hash(password, 12);
+}
+
+export function isValidPassword(password, storedPassword) {
+  return bcrypt.compare(password, storedPassword);
+}
+
+// expects "Authorization: Bearer <token>", returns the user ({ id, email }) or null if the token is missing or invalid
+function getRequestUser(req) {
+  const [type, token, ...rest] = req.get('Authorization')?.split(' ') ?? [];
+
+  if (type !== 'Bearer' || !token || rest.length > 0) {
+    return null;
+  }
+
+  try {
+    const { userId, email } = jwt.verify(token, KEY);
+    return { id: userId, email };
+  } catch {
+    return null;
+  }
+}
+
+// stores the logged in user as req.user, requests without a valid token are rejected
+export function checkAuth(req, res, next) {
+  if (req.method === 'OPTIONS') {
+    return next();
+  }
+
+  const user = getRequestUser(req);
+
+  if (!user) {
+    return next(new NotAuthError('Not authenticated.'));
+  }
+
+  req.user = user;
+  next();
+}
+
+// for routes which anyone may use, but which send more details to logged in users.
+// req.user is only set if the request has a valid token
+export function readAuth(req, res, next) {
+  req.user = getRequestUser(req) ?? undefined;
+  next();
+}
+
+// events created before there were user accounts have no owner, every logged in user may change them
+export function assertOwner(resource, user) {
+  if (resource.ownerId && resource.ownerId !== user.id) {
+    throw new ForbiddenError('Only the owner may change this event.');
+  }
+}
@@ -0,0 +1,29 @@
+export class NotFoundError {
+  constructor(message) {
+    this.message = message;
+    this.status = 404;
+  }
+}
+
+export class ConflictError {
+  constructor(message, current) {
+    this.message = message;
+    this.status = 409;
+    // the stored version of the resource, so the client can reconcile
+    this.current = current;
+  }
+}
+
+export class NotAuthError {
+  constructor(message) {
+    this.message = message;
+    this.status = 401;
+  }
+}
+
+export class ForbiddenError {
+  constructor(message) {
+    this.message = message;
+    this.status = 403;
+  }
+}
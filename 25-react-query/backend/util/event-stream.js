@@ -0,0 +1,36 @@
+const HEARTBEAT_INTERVAL = 30000;
+
+// Server-Sent Events : every connected client receives a notification when events change
+export function createEventStream() {
+  const clients = new Set();
+
+  function subscribe(req, res) {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+
+    clients.add(res);
+
+    // comments are ignored by EventSource, they only keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => {
+      res.write(': heartbeat\n\n');
+    }, HEARTBEAT_INTERVAL);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      clients.delete(res);
+    });
+  }
+
+  // type is one of "created", "updated", "deleted" or "restored", event holds at least the id of the changed event
+  function broadcast(type, event) {
+    const message = `event: ${type}\ndata: ${JSON.stringify(event)}\n\n`;
+
+    for (const client of clients) {
+      client.write(message);
+    }
+  }
+
+  return { subscribe, broadcast };
+}
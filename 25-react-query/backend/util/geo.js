@@ -0,0 +1,76 @@
+import { readFileSync } from 'node:fs';
+
+import { tokenize } from './search-index.js';
+
+const EARTH_RADIUS_KM = 6371;
+
+// a small offline list of common cities, so locations can be geocoded without calling a web service
+// [{ name, region, country, lat, lng, aliases }]
+const gazetteer = JSON.parse(
+  readFileSync(new URL('../data/gazetteer.json', import.meta.url), 'utf8')
+);
+
+// "Innovation Lounge, New York, NY" -> " innovation lounge new york ny "
+// the spaces around the words allow matching whole words only
+function toPhrase(text) {
+  return ` ${tokenize(text).join(' ')} `;
+}
+
+const places = gazetteer.flatMap((city) =>
+  [city.name, ...(city.aliases ?? [])].map((name) => ({
+    phrase: toPhrase(name),
+    city,
+  }))
+);
+
+// returns { lat, lng } of the city mentioned in the location, or null if no known city is mentioned.
+// if several cities match, the longest name wins ("New York City" rather than "York")
+export function geocode(location) {
+  const locationPhrase = toPhrase(location);
+  let match = null;
+
+  for (const place of places) {
+    if (
+      locationPhrase.includes(place.phrase) &&
+      (!match || place.phrase.length > match.phrase.length)
+    ) {
+      match = place;
+    }
+  }
+
+  return match ? { lat: match.city.lat, lng: match.city.lng } : null;
+}
+
+// parses "lat,lng" (e.g. from a query param), returns null if it isn't a valid position
+export function parsePosition(value) {
+  const [lat, lng, ...rest] = String(value).split(',').map(Number);
+
+  if (
+    rest.length > 0 ||
+    !Number.isFinite(lat) ||
+    !Number.isFinite(lng) ||
+    Math.abs(lat) > 90 ||
+    Math.abs(lng) > 180
+  ) {
+    return null;
+  }
+
+  return { lat, lng };
+}
+
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+// great-circle distance between two { lat, lng } positions (haversine formula)
+export function distanceInKm(from, to) {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) *
+      Math.cos(toRadians(to.lat)) *
+      Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
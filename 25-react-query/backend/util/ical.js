@@ -0,0 +1,87 @@
+// builds iCalendar (RFC 5545) files, which calendar apps can import or subscribe to
+
+const PRODUCT_ID = '-//React Events//Events Calendar//EN';
+// the events don't have an end time, so they are assumed to take two hours
+const DEFAULT_DURATION = 'PT2H';
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// lines must not be longer than 75 octets, longer lines continue on the next line after a space
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+
+  for (const character of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (encoder.encode(current + character).length > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += character;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+function formatDate(date) {
+  return date.replace(/-/g, '');
+}
+
+function formatDateTime(date, time) {
+  return `${formatDate(date)}T${time.replace(':', '')}00`;
+}
+
+function formatTimestamp(date) {
+  return date
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+}
+
+function buildRecurrenceRule({ frequency, interval = 1, until }) {
+  return `FREQ=${frequency.toUpperCase()};INTERVAL=${interval};UNTIL=${formatDate(until)}T235959`;
+}
+
+function buildEvent(event, timestamp) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.id}@react-events`,
+    `DTSTAMP:${timestamp}`,
+    // without a time zone, the event takes place at this time wherever the calendar is used
+    `DTSTART:${formatDateTime(event.date, event.time)}`,
+    `DURATION:${DEFAULT_DURATION}`,
+    `SUMMARY:${escapeText(event.title)}`,
+    `DESCRIPTION:${escapeText(event.description)}`,
+    `LOCATION:${escapeText(event.location)}`,
+  ];
+
+  if (event.recurrence) {
+    lines.push(`RRULE:${buildRecurrenceRule(event.recurrence)}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+export function buildCalendar(events, name = 'React Events') {
+  const timestamp = formatTimestamp(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap((event) => buildEvent(event, timestamp)),
+    'END:VCALENDAR',
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
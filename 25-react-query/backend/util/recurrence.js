@@ -0,0 +1,77 @@
+// recurrence : { frequency: 'weekly' | 'monthly', interval: 1, until: 'YYYY-MM-DD' }
+// an event repeats every <interval> weeks / months from its date until (and including) <until>
+
+export const FREQUENCIES = ['weekly', 'monthly'];
+
+// protects the server from rules producing a huge number of occurrences
+const MAX_OCCURRENCES = 500;
+
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// dates are handled in UTC, so daylight saving time can't shift an occurrence to another day
+function parseDate(value) {
+  return new Date(`${value}T00:00:00Z`);
+}
+
+function nthOccurrence(start, frequency, step) {
+  const date = new Date(start);
+
+  if (frequency === 'weekly') {
+    date.setUTCDate(date.getUTCDate() + step * 7);
+    return date;
+  }
+
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + step);
+  const daysInMonth = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)
+  ).getUTCDate();
+
+  // like in iCalendar, months without that day (e.g. the 31st) are skipped
+  if (start.getUTCDate() > daysInMonth) {
+    return null;
+  }
+
+  date.setUTCDate(start.getUTCDate());
+  return date;
+}
+
+// returns the dates (YYYY-MM-DD) on which the event takes place
+export function occurrenceDates(event) {
+  if (!event.recurrence) {
+    return [event.date];
+  }
+
+  const { frequency, interval = 1, until } = event.recurrence;
+  const start = parseDate(event.date);
+  const dates = [];
+
+  for (let step = 0; dates.length < MAX_OCCURRENCES; step += interval) {
+    const date = nthOccurrence(start, frequency, step);
+
+    if (!date) {
+      continue;
+    }
+
+    const dateString = toDateString(date);
+
+    if (dateString > until) {
+      break;
+    }
+
+    dates.push(dateString);
+  }
+
+  return dates;
+}
+
+// turns recurring events into one entry per occurrence between from and to (both optional, inclusive)
+export function expandOccurrences(events, from, to) {
+  return events.flatMap((event) =>
+    occurrenceDates(event)
+      .filter((date) => (!from || date >= from) && (!to || date <= to))
+      .map((date) => (date === event.date ? event : { ...event, date }))
+  );
+}
@@ -0,0 +1,163 @@
+// a small in-memory inverted index for the event search
+// every word of the indexed fields points to the events that contain it
+
+// matches in the title count more than matches in the location or description
+const FIELD_WEIGHTS = {
+  title: 3,
+  location: 2,
+  description: 1,
+};
+
+// how good a term matches a searched word : exactly, as prefix ("net" -> "networking") or with typos
+const EXACT_MATCH = 1;
+const PREFIX_MATCH = 0.6;
+const FUZZY_MATCH = 0.3;
+
+// prefix and fuzzy matching on very short words would match almost everything
+const MIN_PREFIX_LENGTH = 2;
+const MIN_FUZZY_LENGTH = 4;
+
+// lowercases the text, removes accents ("Café" -> "cafe") and splits it into words
+export function tokenize(text) {
+  return (text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+// allowed number of typos, longer words may contain more of them
+function maxEdits(word) {
+  if (word.length < MIN_FUZZY_LENGTH) {
+    return 0;
+  }
+  return word.length < 8 ? 1 : 2;
+}
+
+// Levenshtein distance, stops early once it is clear that the distance is larger than max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let previousRow = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(
+        previousRow[j] + 1,
+        row[j - 1] + 1,
+        previousRow[j - 1] + cost
+      );
+      rowMin = Math.min(rowMin, row[j]);
+    }
+
+    if (rowMin > max) {
+      return max + 1;
+    }
+
+    previousRow = row;
+  }
+
+  return previousRow[b.length];
+}
+
+function matchQuality(term, word) {
+  if (term === word) {
+    return EXACT_MATCH;
+  }
+
+  if (word.length >= MIN_PREFIX_LENGTH && term.startsWith(word)) {
+    return PREFIX_MATCH;
+  }
+
+  const edits = maxEdits(word);
+  if (edits > 0 && editDistance(term, word, edits) <= edits) {
+    return FUZZY_MATCH;
+  }
+
+  return 0;
+}
+
+// { terms: Map<term, Map<eventId, weight>>, events: Map<eventId, event> }
+export function buildIndex(events) {
+  const terms = new Map();
+
+  for (const event of events) {
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      for (const term of tokenize(event[field])) {
+        if (!terms.has(term)) {
+          terms.set(term, new Map());
+        }
+
+        // a word counts once per event, with the weight of the most important field it appears in
+        const postings = terms.get(term);
+        postings.set(event.id, Math.max(postings.get(event.id) ?? 0, weight));
+      }
+    }
+  }
+
+  return {
+    terms,
+    events: new Map(events.map((event) => [event.id, event])),
+  };
+}
+
+// returns the events that match every searched word, the best matches first.
+// every event gets a score and the indexed terms which matched (e.g. to highlight them)
+export function searchIndex(index, query) {
+  const words = [...new Set(tokenize(query))];
+
+  if (words.length === 0) {
+    return [];
+  }
+
+  let results;
+
+  for (const word of words) {
+    // eventId -> { score, matches } for this word
+    const wordResults = new Map();
+
+    for (const [term, postings] of index.terms) {
+      const quality = matchQuality(term, word);
+      if (quality === 0) {
+        continue;
+      }
+
+      for (const [eventId, weight] of postings) {
+        const result = wordResults.get(eventId) ?? { score: 0, matches: [] };
+        result.score = Math.max(result.score, quality * weight);
+        result.matches.push(term);
+        wordResults.set(eventId, result);
+      }
+    }
+
+    // only events that matched all previous words are kept
+    const combined = new Map();
+    for (const [eventId, { score, matches }] of wordResults) {
+      if (!results) {
+        combined.set(eventId, { score, matches });
+      } else if (results.has(eventId)) {
+        const previous = results.get(eventId);
+        combined.set(eventId, {
+          score: previous.score + score,
+          matches: [...previous.matches, ...matches],
+        });
+      }
+    }
+    results = combined;
+  }
+
+  return [...results]
+    .map(([eventId, { score, matches }]) => ({
+      ...index.events.get(eventId),
+      score,
+      matches: [...new Set(matches)],
+    }))
+    .sort((a, b) => b.score - a.score || a.title.localeCompare(b.title));
+}
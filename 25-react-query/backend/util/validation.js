@@ -0,0 +1,174 @@
+import { FREQUENCIES } from './recurrence.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// a rule receives the value of a field (and all data, for rules comparing fields)
+// and returns an error message if the value is invalid.
+// rules which need stored data get it from the context passed to validate()
+
+function required(label) {
+  return (value) =>
+    typeof value === 'string' && value.trim()
+      ? undefined
+      : `${label} is required.`;
+}
+
+function length(label, min, max) {
+  return (value) => {
+    // e.g. a form field which was sent twice
+    if (typeof value !== 'string') {
+      return `${label} must be a text.`;
+    }
+
+    const textLength = value.trim().length;
+    if (textLength < min || textLength > max) {
+      return `${label} must be between ${min} and ${max} characters long.`;
+    }
+  };
+}
+
+export function isValidDate(value) {
+  if (!DATE_PATTERN.test(value)) {
+    return false;
+  }
+  // new Date() accepts dates like 2024-02-30 and moves them to the next month
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().startsWith(value);
+}
+
+function date(label) {
+  return (value) =>
+    isValidDate(value)
+      ? undefined
+      : `${label} must be a valid date (YYYY-MM-DD).`;
+}
+
+function time(label) {
+  return (value) =>
+    TIME_PATTERN.test(value)
+      ? undefined
+      : `${label} must be a valid time (HH:MM).`;
+}
+
+function integer(label, min, max) {
+  return (value) => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+      return `${label} must be a whole number between ${min} and ${max}.`;
+    }
+  };
+}
+
+function email(label) {
+  return (value) =>
+    EMAIL_PATTERN.test(value.trim())
+      ? undefined
+      : `${label} must be a valid email address.`;
+}
+
+// skips the wrapped rule if no value was provided
+function optional(rule) {
+  return (value, data) =>
+    value === undefined || value === null || value === ''
+      ? undefined
+      : rule(value, data);
+}
+
+// latitude and longitude are only valid together
+function coordinate(label, max, otherField) {
+  return (value, data) => {
+    const number = Number(value);
+    if (!Number.isFinite(number) || Math.abs(number) > max) {
+      return `${label} must be a number between -${max} and ${max}.`;
+    }
+
+    const other = data[otherField];
+    if (other === undefined || other === null || other === '') {
+      return 'Please enter both latitude and longitude.';
+    }
+  };
+}
+
+function recurrence() {
+  return (value, data) => {
+    if (typeof value !== 'object' || !FREQUENCIES.includes(value.frequency)) {
+      return `Events can only repeat ${FREQUENCIES.join(' or ')}.`;
+    }
+
+    const interval = value.interval ?? 1;
+    if (!Number.isInteger(interval) || interval < 1 || interval > 12) {
+      return 'The repeat interval must be a whole number between 1 and 12.';
+    }
+
+    if (!isValidDate(value.until)) {
+      return 'Repeating events need a valid end date (YYYY-MM-DD).';
+    }
+
+    if (value.until <= data.date) {
+      return 'The end date must be after the date of the event.';
+    }
+  };
+}
+
+// context.imagesData : the selectable images (see data/image.js)
+function catalogueImage() {
+  return async (value, data, { imagesData }) => {
+    const images = await imagesData.getAll();
+    if (!images.some((image) => image.path === value)) {
+      return 'Please select one of the available images.';
+    }
+  };
+}
+
+// the rules of each field are checked in order, only the first failing rule is reported
+export const eventSchema = {
+  title: [required('Title'), length('Title', 3, 100)],
+  description: [required('Description'), length('Description', 10, 2000)],
+  date: [required('Date'), date('Date')],
+  time: [required('Time'), time('Time')],
+  image: [required('Image'), catalogueImage()],
+  location: [required('Location'), length('Location', 3, 200)],
+  capacity: [optional(integer('Capacity', 1, 10000))],
+  recurrence: [optional(recurrence())],
+  lat: [optional(coordinate('Latitude', 90, 'lng'))],
+  lng: [optional(coordinate('Longitude', 180, 'lat'))],
+};
+
+// the caption is optional, the file name is used without it
+export const imageSchema = {
+  caption: [optional(length('Caption', 1, 200))],
+};
+
+export const registrationSchema = {
+  name: [required('Name'), length('Name', 2, 100)],
+  email: [required('Email'), email('Email')],
+};
+
+export const commentSchema = {
+  author: [required('Name'), length('Name', 2, 100)],
+  text: [required('Comment'), length('Comment', 2, 1000)],
+};
+
+export const signupSchema = {
+  email: [required('Email'), email('Email')],
+  password: [required('Password'), length('Password', 6, 100)],
+};
+
+// returns an object with an error message for every invalid field, or an empty object
+export async function validate(schema, data, context = {}) {
+  const errors = {};
+
+  for (const [field, rules] of Object.entries(schema)) {
+    for (const rule of rules) {
+      const message = await rule(data[field], data, context);
+      if (message) {
+        errors[field] = message;
+        break;
+      }
+    }
+  }
+
+  return errors;
+}
@@ -1,3 +1,4 @@
+import { useEffect, useState } from "react";
 import {
   Navigate,
   RouterProvider,
@@ -8,10 +9,56 @@ import Events from "./components/Events/Events.jsx";
 import EventDetails from "./components/Events/EventDetails.jsx";
 import NewEvent from "./components/Events/NewEvent.jsx";
 import EditEvent from "./components/Events/EditEvent.jsx";
-import { QueryClientProvider } from "@tanstack/react-query";
+import EventsTrash from "./components/Events/EventsTrash.jsx";
+import AuthPage from "./components/Auth/AuthPage.jsx";
+import { onlineManager, useIsRestoring } from "@tanstack/react-query";
+import { PersistQueryClientProvider } from "@tanstack/react-query-persist-client";
 import { queryClient } from "./util/http.js";
+import { eventQuery, imagesQuery } from "./util/queries.js";
+import { subscribeToEventChanges } from "./util/event-stream.js";
+import { checkAuthLoader, setLoginNavigation } from "./util/auth.js";
+import {
+  persistOptions,
+  resumeQueuedMutations,
+} from "./util/query-persistence.js";
+import MutationErrorToast from "./components/UI/MutationErrorToast.jsx";
+import UndoDeleteSnackbar from "./components/UI/UndoDeleteSnackbar.jsx";
+import OfflineBanner from "./components/UI/OfflineBanner.jsx";
+import LoadingIndicator from "./components/UI/LoadingIndicator.jsx";
+
+// loaders make sure the data is cached before a page renders, so it doesn't start with a spinner.
+// ensureQueryData resolves right away if the data is already cached (e.g. prefetched on hover).
+// errors are ignored here, the page fetches again and shows an ErrorBlock if it still fails
+function ensureCached(options) {
+  // while offline, fetches are paused until the connection returns, which would block the navigation
+  if (!onlineManager.isOnline()) {
+    return queryClient.getQueryData(options.queryKey) ?? null;
+  }
+  return queryClient.ensureQueryData(options).catch(() => null);
+}
 
-const router = createBrowserRouter([
+function eventDetailsLoader({ params }) {
+  return ensureCached(eventQuery(params.id));
+}
+
+// creating, editing and restoring events requires a logged in user
+function editEventLoader({ params, request }) {
+  const loginRedirect = checkAuthLoader({ request });
+  if (loginRedirect) {
+    return loginRedirect;
+  }
+
+  return Promise.all([
+    ensureCached(eventQuery(params.id)),
+    ensureCached(imagesQuery()),
+  ]);
+}
+
+function newEventLoader({ request }) {
+  return checkAuthLoader({ request }) ?? ensureCached(imagesQuery());
+}
+
+const routes = [
   {
     path: "/",
     element: <Navigate to="/events" />,
@@ -24,26 +71,81 @@ const router = createBrowserRouter([
       {
         path: "/events/new",
         element: <NewEvent />,
+        loader: newEventLoader,
       },
     ],
   },
+  {
+    path: "/events/trash",
+    element: <EventsTrash />,
+    loader: checkAuthLoader,
+  },
+  {
+    path: "/auth",
+    element: <AuthPage />,
+  },
   {
     path: "/events/:id",
     element: <EventDetails />,
+    loader: eventDetailsLoader,
     children: [
       {
         path: "/events/:id/edit",
         element: <EditEvent />,
+        loader: editEventLoader,
       },
     ],
   },
-]);
+];
+
+// the router is only created once the cache was restored,
+// because createBrowserRouter runs the loaders of the current URL right away
+function AppRouter() {
+  const [router] = useState(() => createBrowserRouter(routes));
+
+  // requests which fail with 401 redirect to the login page without reloading the app
+  useEffect(() => {
+    setLoginNavigation((url) => router.navigate(url));
+  }, [router]);
+
+  return <RouterProvider router={router} />;
+}
+
+// the router is only rendered once the cache was restored from IndexedDB,
+// otherwise every page would start fetching before the cached data is available
+function RestoredApp() {
+  const isRestoring = useIsRestoring();
+
+  if (isRestoring) {
+    return (
+      <div className="center">
+        <LoadingIndicator />
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <OfflineBanner />
+      <AppRouter />
+      <MutationErrorToast />
+      <UndoDeleteSnackbar />
+    </>
+  );
+}
 
 function App() {
+  // keep the cached events up to date while other users change them
+  useEffect(() => subscribeToEventChanges(), []);
+
   return (
-    <QueryClientProvider client={queryClient}>
-      <RouterProvider router={router} />
-    </QueryClientProvider>
+    <PersistQueryClientProvider
+      client={queryClient}
+      persistOptions={persistOptions}
+      onSuccess={resumeQueuedMutations}
+    >
+      <RestoredApp />
+    </PersistQueryClientProvider>
   );
 }
 
@@ -0,0 +1,96 @@
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
+import { useMutation } from "@tanstack/react-query";
+
+import Header from "../Header.jsx";
+import ErrorBlock from "../UI/ErrorBlock.jsx";
+import { authenticate, queryClient } from "../../util/http.js";
+import { setAuth } from "../../util/auth.js";
+
+// /auth?mode=login or /auth?mode=signup, redirect is the page which required the login
+export default function AuthPage() {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const isLogin = searchParams.get("mode") !== "signup";
+  const redirectTo = searchParams.get("redirect") ?? "/events";
+
+  const { mutate, isPending, isError, error, reset } = useMutation({
+    mutationFn: authenticate,
+    onSuccess: (data) => {
+      setAuth(data);
+      // e.g. the trash and the edit buttons depend on the logged in user
+      queryClient.invalidateQueries({ queryKey: ["events"] });
+      queryClient.removeQueries({ queryKey: ["events-trash"] });
+      navigate(redirectTo, { replace: true });
+    },
+  });
+
+  const fieldErrors = error?.info?.errors;
+
+  function handleSubmit(event) {
+    event.preventDefault();
+    const formData = new FormData(event.target);
+
+    mutate({
+      mode: isLogin ? "login" : "signup",
+      credentials: {
+        email: formData.get("email"),
+        password: formData.get("password"),
+      },
+    });
+  }
+
+  const switchParams = new URLSearchParams(searchParams);
+  switchParams.set("mode", isLogin ? "signup" : "login");
+
+  return (
+    <>
+      <Header>
+        <Link to="/events" className="nav-item">
+          View all Events
+        </Link>
+      </Header>
+      <main>
+        <section className="content-section" id="auth-section">
+          <form id="event-form" onSubmit={handleSubmit}>
+            <h2>{isLogin ? "Log in" : "Create a new user"}</h2>
+            {isError && !fieldErrors && (
+              <ErrorBlock
+                title={error.message}
+                message={error.info?.message || "Please try again later."}
+              />
+            )}
+            {fieldErrors?.credentials && (
+              <p className="control-error">{fieldErrors.credentials}</p>
+            )}
+            <p className="control">
+              <label htmlFor="email">Email</label>
+              <input id="email" type="email" name="email" required />
+              {fieldErrors?.email && (
+                <span className="control-error">{fieldErrors.email}</span>
+              )}
+            </p>
+            <p className="control">
+              <label htmlFor="password">Password</label>
+              <input id="password" type="password" name="password" required />
+              {fieldErrors?.password && (
+                <span className="control-error">{fieldErrors.password}</span>
+              )}
+            </p>
+            <p className="form-actions">
+              <Link
+                to={`?${switchParams}`}
+                className="button-text"
+                onClick={reset}
+              >
+                {isLogin ? "Create new user" : "Log in instead"}
+              </Link>
+              <button type="submit" className="button" disabled={isPending}>
+                {isPending ? "Submitting..." : isLogin ? "Log in" : "Sign up"}
+              </button>
+            </p>
+          </form>
+        </section>
+      </main>
+    </>
+  );
+}
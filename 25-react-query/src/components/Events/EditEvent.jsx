@@ -2,8 +2,9 @@ import { Link, useNavigate, useParams } from "react-router-dom";
 
 import Modal from "../UI/Modal.jsx";
 import EventForm from "./EventForm.jsx";
-import { useMutation, useQuery } from "@tanstack/react-query";
-import { fetchEvent, queryClient, updateEvent } from "../../util/http.js";
+import { onlineManager, useQuery } from "@tanstack/react-query";
+import { eventQuery } from "../../util/queries.js";
+import { useUpdateEvent } from "../../hooks/useEventMutations.js";
 import LoadingIndicator from "../UI/LoadingIndicator.jsx";
 import ErrorBlock from "../UI/ErrorBlock.jsx";
 
@@ -11,40 +12,33 @@ export default function EditEvent() {
   const navigate = useNavigate();
   const { id } = useParams();
 
-  const { data, isPending, isError, error } = useQuery({
-    queryKey: ["events", id],
-    queryFn: ({ signal }) => fetchEvent({ signal, id }),
-  });
+  // same query as in EventDetails, so the event is usually already cached
+  const { data, isPending, isError, error } = useQuery(eventQuery(id));
 
-  const { mutate } = useMutation({
-    mutationFn: updateEvent,
-    // React query passes a data which we passed to mutate
-    onMutate: async (data) => {
-      const newEvent = data.event;
-      // cancel ongoing queries
-      await queryClient.cancelQueries({ queryKey: ["events", id] });
-      // to rolll back, we need the currently stored data
-      const previousEvent = queryClient.getQueryData(["events", id]);
-      // 1st arg : key of the query we want to change
-      // 2nd arg : the new data we want to store
-      queryClient.setQueryData(["events", id], newEvent); // manipulate the stored data without waiting for a response
-      return { previousEvent };
-    },
-    // if the mutation gets the error, onError will be executed
-    // these objects are passed in automatically by React Query
-    // context object can contain the returned value
-    onError: (error, data, context) => {
-      queryClient.setQueryData(["events", id], context.previousEvent);
-    },
-    // whenever the mutation finishes,
-    onSettled: () => {
-      queryClient.invalidateQueries(["events", id]); // fetch the latest data from the backend
-    },
-  });
+  // the cached event is updated optimistically and rolled back if the update fails
+  const {
+    mutate,
+    isPending: isUpdating,
+    error: updateError,
+  } = useUpdateEvent();
 
   function handleSubmit(formData) {
-    mutate({ id, event: formData });
-    navigate("../"); // go up one level, go the page the user is comming from
+    // the version lets the backend reject the update if someone else changed the event meanwhile
+    // the details page behind the modal already shows the changes while we wait for the backend,
+    // the modal is only closed once it accepted them, so validation errors can be shown inline
+    mutate(
+      { id, event: { ...formData, version: data.version } },
+      {
+        onSuccess: () => {
+          navigate("../"); // go up one level, go the page the user is comming from
+        },
+      }
+    );
+
+    // while offline the update is queued, so there is nothing to wait for
+    if (!onlineManager.isOnline()) {
+      navigate("../");
+    }
   }
 
   function handleClose() {
@@ -82,13 +76,22 @@ export default function EditEvent() {
 
   if (data) {
     content = (
-      <EventForm inputData={data} onSubmit={handleSubmit}>
-        <Link to="../" className="button-text">
-          Cancel
-        </Link>
-        <button type="submit" className="button">
-          Update
-        </button>
+      <EventForm
+        inputData={data}
+        errors={updateError?.info?.errors}
+        onSubmit={handleSubmit}
+      >
+        {isUpdating && "Updating..."}
+        {!isUpdating && (
+          <>
+            <Link to="../" className="button-text">
+              Cancel
+            </Link>
+            <button type="submit" className="button">
+              Update
+            </button>
+          </>
+        )}
       </EventForm>
     );
   }
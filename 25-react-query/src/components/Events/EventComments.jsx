@@ -0,0 +1,250 @@
+import { useRef, useState } from "react";
+import { useInfiniteQuery, useMutation } from "@tanstack/react-query";
+
+import {
+  deleteEventComment,
+  postEventComment,
+  queryClient,
+} from "../../util/http.js";
+import { eventCommentsQuery } from "../../util/queries.js";
+import ErrorBlock from "../UI/ErrorBlock.jsx";
+import LoadingIndicator from "../UI/LoadingIndicator.jsx";
+
+// comments can only be deleted with the key the backend returned when they were posted,
+// so the keys of the own comments are remembered in the browser
+const STORAGE_KEY = "event-comment-keys";
+
+function getStoredDeleteKeys() {
+  return JSON.parse(localStorage.getItem(STORAGE_KEY) ?? "{}");
+}
+
+function storeDeleteKey(commentId, deleteKey) {
+  const deleteKeys = getStoredDeleteKeys();
+  if (deleteKey) {
+    deleteKeys[commentId] = deleteKey;
+  } else {
+    delete deleteKeys[commentId];
+  }
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(deleteKeys));
+}
+
+function formatCommentDate(createdAt) {
+  return new Date(createdAt).toLocaleString("en-US", {
+    day: "numeric",
+    month: "short",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+}
+
+export default function EventComments({ eventId }) {
+  const formElement = useRef();
+  const [deleteKeys, setDeleteKeys] = useState(getStoredDeleteKeys);
+  const commentsQuery = eventCommentsQuery(eventId);
+  const { queryKey } = commentsQuery;
+
+  const {
+    data,
+    isPending,
+    isError,
+    error,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage,
+  } = useInfiniteQuery(commentsQuery);
+
+  const postComment = useMutation({
+    mutationFn: postEventComment,
+    // the comment is shown right away and replaced by the real one once the backend answered
+    onMutate: async ({ comment }) => {
+      await queryClient.cancelQueries({ queryKey });
+      const previousComments = queryClient.getQueryData(queryKey);
+
+      const optimisticComment = {
+        ...comment,
+        id: `pending-${Date.now()}`,
+        createdAt: new Date().toISOString(),
+        isPending: true,
+      };
+
+      queryClient.setQueryData(queryKey, (cachedComments) => {
+        if (!cachedComments) {
+          return cachedComments;
+        }
+
+        const [firstPage, ...otherPages] = cachedComments.pages;
+        return {
+          ...cachedComments,
+          pages: [
+            {
+              comments: [optimisticComment, ...firstPage.comments],
+              pagination: {
+                ...firstPage.pagination,
+                total: firstPage.pagination.total + 1,
+              },
+            },
+            ...otherPages,
+          ],
+        };
+      });
+
+      formElement.current.reset();
+
+      return { previousComments };
+    },
+    onError: (error, { comment }, context) => {
+      queryClient.setQueryData(queryKey, context.previousComments);
+
+      // give the user the chance to fix and resend the comment
+      formElement.current.author.value = comment.author;
+      formElement.current.text.value = comment.text;
+    },
+    onSuccess: (newComment) => {
+      storeDeleteKey(newComment.id, newComment.deleteKey);
+      setDeleteKeys(getStoredDeleteKeys());
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey });
+    },
+  });
+
+  const deleteComment = useMutation({
+    mutationFn: deleteEventComment,
+    onSuccess: (data, { commentId }) => {
+      storeDeleteKey(commentId, null);
+      setDeleteKeys(getStoredDeleteKeys());
+      queryClient.invalidateQueries({ queryKey });
+    },
+  });
+
+  function handleSubmit(formEvent) {
+    formEvent.preventDefault();
+    const comment = Object.fromEntries(new FormData(formEvent.target));
+    postComment.mutate({ id: eventId, comment });
+  }
+
+  function handleDelete(commentId) {
+    deleteComment.mutate({
+      id: eventId,
+      commentId,
+      deleteKey: deleteKeys[commentId],
+    });
+  }
+
+  const fieldErrors = postComment.error?.info?.errors;
+
+  let content;
+
+  if (isPending) {
+    content = <LoadingIndicator />;
+  }
+
+  if (isError) {
+    content = (
+      <ErrorBlock
+        title="Failed to load comments"
+        message={error.info?.message || "Please try again later."}
+      />
+    );
+  }
+
+  if (data) {
+    const comments = data.pages.flatMap((page) => page.comments);
+
+    content = (
+      <>
+        {comments.length === 0 && (
+          <p>No questions yet. Be the first to ask one!</p>
+        )}
+        <ul className="comments-list">
+          {comments.map((comment) => (
+            <li
+              key={comment.id}
+              className={comment.isPending ? "comment-pending" : undefined}
+            >
+              <header>
+                <span className="comment-author">{comment.author}</span>
+                <time dateTime={comment.createdAt}>
+                  {comment.isPending
+                    ? "Posting..."
+                    : formatCommentDate(comment.createdAt)}
+                </time>
+              </header>
+              <p>{comment.text}</p>
+              {deleteKeys[comment.id] && (
+                <button
+                  className="button-text"
+                  onClick={() => handleDelete(comment.id)}
+                  disabled={deleteComment.isPending}
+                >
+                  Delete
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+        {hasNextPage && (
+          <p className="load-more">
+            {isFetchingNextPage && <LoadingIndicator />}
+            {!isFetchingNextPage && (
+              <button className="button-text" onClick={() => fetchNextPage()}>
+                Show older comments
+              </button>
+            )}
+          </p>
+        )}
+      </>
+    );
+  }
+
+  return (
+    <section id="event-comments">
+      <header>
+        <h2>Questions &amp; comments</h2>
+        {data && (
+          <p className="event-comments-count">
+            {data.pages[0].pagination.total} comments
+          </p>
+        )}
+      </header>
+      <form id="comment-form" onSubmit={handleSubmit} ref={formElement}>
+        <p className="control">
+          <label htmlFor="comment-author">Name</label>
+          <input type="text" id="comment-author" name="author" />
+          {fieldErrors?.author && (
+            <span className="control-error">{fieldErrors.author}</span>
+          )}
+        </p>
+        <p className="control">
+          <label htmlFor="comment-text">Comment</label>
+          <textarea id="comment-text" name="text" rows="3" />
+          {fieldErrors?.text && (
+            <span className="control-error">{fieldErrors.text}</span>
+          )}
+        </p>
+        <p className="form-actions">
+          <button type="submit" className="button">
+            Post comment
+          </button>
+        </p>
+        {postComment.isError && !fieldErrors && (
+          <ErrorBlock
+            title="Failed to post the comment"
+            message={
+              postComment.error.info?.message || "Please try again later."
+            }
+          />
+        )}
+      </form>
+      {deleteComment.isError && (
+        <ErrorBlock
+          title="Failed to delete the comment"
+          message={
+            deleteComment.error.info?.message || "Please try again later."
+          }
+        />
+      )}
+      {content}
+    </section>
+  );
+}
@@ -1,36 +1,29 @@
 import { Link, Outlet, useNavigate, useParams } from "react-router-dom";
 
 import Header from "../Header.jsx";
-import { useMutation, useQuery } from "@tanstack/react-query";
-import { deleteEvent, fetchEvent, queryClient } from "../../util/http.js";
+import { useQuery } from "@tanstack/react-query";
+import { eventQuery } from "../../util/queries.js";
+import { API_URL } from "../../util/api-client.js";
+import { useDeleteEvent } from "../../hooks/useEventMutations.js";
+import { canEdit, useAuthUser } from "../../util/auth.js";
 import ErrorBlock from "../UI/ErrorBlock.jsx";
 import { useState } from "react";
 import Modal from "../UI/Modal.jsx";
+import EventComments from "./EventComments.jsx";
+import EventHistory from "./EventHistory.jsx";
+import EventRegistration from "./EventRegistration.jsx";
 
 export default function EventDetails() {
   const [isDeleting, setIsDeleting] = useState(false);
 
   const { id } = useParams();
   const navigate = useNavigate();
+  const user = useAuthUser();
 
-  const {
-    mutate,
-    isPending: isPendingDeletion,
-    isError: isErrorDeleting,
-    error: deleteError,
-  } = useMutation({
-    mutationFn: deleteEvent,
-    // when the mutation function succeeds
-    onSuccess: () => {
-      // the data is changed on the backend, so we need to invalidate the queries
-      queryClient.invalidateQueries({
-        queryKey: ["events"],
-        // this query will not automatically triggered immediately
-        refetchType: "none",
-      });
-      navigate("/events");
-    },
-  });
+  // the event is removed from the cached lists right away,
+  // if the deletion fails it is restored and an error toast is shown.
+  // a successful deletion can be undone via the snackbar (see <UndoDeleteSnackbar />)
+  const { mutate } = useDeleteEvent();
 
   function handleStartDelete() {
     setIsDeleting(true);
@@ -41,13 +34,13 @@ export default function EventDetails() {
   }
 
   const handleDelete = () => {
-    mutate({ id: id });
+    // the title is only passed along for the undo snackbar
+    mutate({ id: id, title: data.title });
+    navigate("/events");
   };
 
-  const { data, isPending, isError, error } = useQuery({
-    queryKey: ["events", { id: id }],
-    queryFn: ({ signal }) => fetchEvent({ id, signal }),
-  });
+  // usually already cached by the route loader (see App.jsx)
+  const { data, isPending, isError, error } = useQuery(eventQuery(id));
 
   let content;
 
@@ -79,25 +72,50 @@ export default function EventDetails() {
       month: "short",
       year: "numeric",
     });
+    // only the owner may change the event, the backend rejects changes of other users as well
+    const isEditable = canEdit(data, user);
+
     content = (
       <>
         <header>
           <h1>{data.title}</h1>
-          <nav>
-            <button onClick={handleStartDelete}>Delete</button>
-            <Link to="edit">Edit</Link>
-          </nav>
+          {isEditable && (
+            <nav>
+              <button onClick={handleStartDelete}>Delete</button>
+              <Link to="edit">Edit</Link>
+            </nav>
+          )}
         </header>
         <div id="event-details-content">
-          <img src={`http://localhost:3000/${data.image}`} alt={data.title} />
+          <img src={`${API_URL}/${data.image}`} alt={data.title} />
           <div id="event-details-info">
             <div>
               <p id="event-details-location">{data.location}</p>
-              <time dateTime={`Todo-DateT$Todo-Time`}>
+              <time dateTime={`${data.date}T${data.time}`}>
                 {formattedDate} @ {data.time}
               </time>
+              {data.recurrence && (
+                <p id="event-details-recurrence">
+                  Repeats {data.recurrence.frequency} until{" "}
+                  {new Date(data.recurrence.until).toLocaleDateString("en-US", {
+                    day: "numeric",
+                    month: "short",
+                    year: "numeric",
+                  })}
+                </p>
+              )}
+              <a
+                href={`${API_URL}/events/${data.id}/ics`}
+                className="button-text"
+                id="event-details-calendar"
+              >
+                Add to calendar
+              </a>
             </div>
             <p id="event-details-description">{data.description}</p>
+            <EventRegistration event={data} />
+            <EventHistory event={data} canRevert={isEditable} />
+            <EventComments eventId={data.id} />
           </div>
         </div>
       </>
@@ -110,31 +128,17 @@ export default function EventDetails() {
         <Modal onClose={handleStopDelete}>
           <h2>Are you sure?</h2>
           <p>
-            Do you really want to delete this event? This action cannot be
-            undone.
+            Do you really want to delete this event? It can be restored from the
+            trash for a while.
           </p>
           <div className="form-actions">
-            {isPendingDeletion && <p>Deleting, please wait...</p>}
-            {!isPendingDeletion && (
-              <>
-                <button onClick={handleStopDelete} className="button-text">
-                  Cancel
-                </button>
-                <button onClick={handleDelete} className="button">
-                  Delete
-                </button>
-              </>
-            )}
+            <button onClick={handleStopDelete} className="button-text">
+              Cancel
+            </button>
+            <button onClick={handleDelete} className="button">
+              Delete
+            </button>
           </div>
-          {isErrorDeleting && (
-            <ErrorBlock
-              title="Failed to delete event"
-              message={
-                deleteError.info?.message ||
-                "Failed to delete event, please try again later."
-              }
-            />
-          )}
         </Modal>
       )}
       <Outlet />
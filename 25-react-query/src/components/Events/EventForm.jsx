@@ -1,17 +1,16 @@
 import { useState } from "react";
 
 import ImagePicker from "../ImagePicker.jsx";
+import ImageUploadTile from "../ImageUploadTile.jsx";
 import { useQuery } from "@tanstack/react-query";
-import { fetchSelectableImages } from "../../util/http.js";
+import { imagesQuery } from "../../util/queries.js";
 import ErrorBlock from "../UI/ErrorBlock.jsx";
 
-export default function EventForm({ inputData, onSubmit, children }) {
+// errors : field-level validation errors sent by the backend ({ title: "...", ... })
+export default function EventForm({ inputData, errors, onSubmit, children }) {
   const [selectedImage, setSelectedImage] = useState(inputData?.image);
 
-  const { data, isPending, isError } = useQuery({
-    queryKey: ["events-images"],
-    queryFn: fetchSelectableImages,
-  });
+  const { data, isPending, isError } = useQuery(imagesQuery());
 
   function handleSelectImage(image) {
     setSelectedImage(image);
@@ -21,9 +20,15 @@ export default function EventForm({ inputData, onSubmit, children }) {
     event.preventDefault();
 
     const formData = new FormData(event.target);
-    const data = Object.fromEntries(formData);
+    const { recurrenceFrequency, recurrenceUntil, ...data } =
+      Object.fromEntries(formData);
 
-    onSubmit({ ...data, image: selectedImage });
+    // the backend expects the recurrence as one object (or null for single events)
+    const recurrence = recurrenceFrequency
+      ? { frequency: recurrenceFrequency, until: recurrenceUntil }
+      : null;
+
+    onSubmit({ ...data, recurrence, image: selectedImage });
   }
 
   return (
@@ -36,6 +41,7 @@ export default function EventForm({ inputData, onSubmit, children }) {
           name="title"
           defaultValue={inputData?.title ?? ""}
         />
+        {errors?.title && <span className="control-error">{errors.title}</span>}
       </p>
 
       {isPending && <p>Loading selectable images...</p>}
@@ -51,7 +57,12 @@ export default function EventForm({ inputData, onSubmit, children }) {
             images={data}
             onSelect={handleSelectImage}
             selectedImage={selectedImage}
-          />
+          >
+            <ImageUploadTile onUploaded={handleSelectImage} />
+          </ImagePicker>
+          {errors?.image && (
+            <span className="control-error">{errors.image}</span>
+          )}
         </div>
       )}
 
@@ -62,6 +73,9 @@ export default function EventForm({ inputData, onSubmit, children }) {
           name="description"
           defaultValue={inputData?.description ?? ""}
         />
+        {errors?.description && (
+          <span className="control-error">{errors.description}</span>
+        )}
       </p>
 
       <div className="controls-row">
@@ -73,6 +87,7 @@ export default function EventForm({ inputData, onSubmit, children }) {
             name="date"
             defaultValue={inputData?.date ?? ""}
           />
+          {errors?.date && <span className="control-error">{errors.date}</span>}
         </p>
 
         <p className="control">
@@ -83,6 +98,7 @@ export default function EventForm({ inputData, onSubmit, children }) {
             name="time"
             defaultValue={inputData?.time ?? ""}
           />
+          {errors?.time && <span className="control-error">{errors.time}</span>}
         </p>
       </div>
 
@@ -94,8 +110,86 @@ export default function EventForm({ inputData, onSubmit, children }) {
           name="location"
           defaultValue={inputData?.location ?? ""}
         />
+        {errors?.location && (
+          <span className="control-error">{errors.location}</span>
+        )}
+      </p>
+
+      {/* coordinates looked up by the backend (geocoded) are not shown, they follow the location */}
+      <div className="controls-row">
+        <p className="control">
+          <label htmlFor="lat">Latitude (optional)</label>
+          <input
+            type="number"
+            id="lat"
+            name="lat"
+            step="any"
+            min="-90"
+            max="90"
+            defaultValue={inputData?.geocoded ? "" : (inputData?.lat ?? "")}
+          />
+          {errors?.lat && <span className="control-error">{errors.lat}</span>}
+        </p>
+
+        <p className="control">
+          <label htmlFor="lng">Longitude (optional)</label>
+          <input
+            type="number"
+            id="lng"
+            name="lng"
+            step="any"
+            min="-180"
+            max="180"
+            defaultValue={inputData?.geocoded ? "" : (inputData?.lng ?? "")}
+          />
+          {errors?.lng && <span className="control-error">{errors.lng}</span>}
+        </p>
+      </div>
+
+      <p className="control">
+        <label htmlFor="capacity">
+          Capacity (leave empty for unlimited seats)
+        </label>
+        <input
+          type="number"
+          id="capacity"
+          name="capacity"
+          min="1"
+          defaultValue={inputData?.capacity ?? ""}
+        />
+        {errors?.capacity && (
+          <span className="control-error">{errors.capacity}</span>
+        )}
       </p>
 
+      <div className="controls-row">
+        <p className="control">
+          <label htmlFor="recurrenceFrequency">Repeats</label>
+          <select
+            id="recurrenceFrequency"
+            name="recurrenceFrequency"
+            defaultValue={inputData?.recurrence?.frequency ?? ""}
+          >
+            <option value="">Never</option>
+            <option value="weekly">Weekly</option>
+            <option value="monthly">Monthly</option>
+          </select>
+          {errors?.recurrence && (
+            <span className="control-error">{errors.recurrence}</span>
+          )}
+        </p>
+
+        <p className="control">
+          <label htmlFor="recurrenceUntil">Until</label>
+          <input
+            type="date"
+            id="recurrenceUntil"
+            name="recurrenceUntil"
+            defaultValue={inputData?.recurrence?.until ?? ""}
+          />
+        </p>
+      </div>
+
       <p className="form-actions">{children}</p>
     </form>
   );
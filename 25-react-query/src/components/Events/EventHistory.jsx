@@ -0,0 +1,150 @@
+import { useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+
+import { eventHistoryQuery } from "../../util/queries.js";
+import { useRevertEvent } from "../../hooks/useEventMutations.js";
+import ErrorBlock from "../UI/ErrorBlock.jsx";
+import LoadingIndicator from "../UI/LoadingIndicator.jsx";
+
+const FIELD_LABELS = {
+  title: "Title",
+  description: "Description",
+  date: "Date",
+  time: "Time",
+  image: "Image",
+  location: "Location",
+  capacity: "Capacity",
+  recurrence: "Repeats",
+  lat: "Latitude",
+  lng: "Longitude",
+};
+
+function formatValue(value) {
+  if (value === null || value === "") {
+    return "–";
+  }
+
+  if (typeof value === "object") {
+    return `${value.frequency} until ${value.until}`;
+  }
+
+  return String(value);
+}
+
+function formatRevisionDate(createdAt) {
+  return new Date(createdAt).toLocaleString("en-US", {
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+}
+
+// canRevert : whether the logged in user may change the event
+export default function EventHistory({ event, canRevert }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  // the history is only fetched once the panel is opened
+  const { data, isPending, isError, error } = useQuery({
+    ...eventHistoryQuery(event.id),
+    enabled: isOpen,
+  });
+
+  const revert = useRevertEvent();
+
+  function handleRevert(revisionId) {
+    revert.mutate({ id: event.id, revisionId, version: event.version });
+  }
+
+  let content;
+
+  if (isPending) {
+    content = <LoadingIndicator />;
+  }
+
+  if (isError) {
+    content = (
+      <ErrorBlock
+        title="Failed to load the history"
+        message={error.info?.message || "Please try again later."}
+      />
+    );
+  }
+
+  if (data) {
+    content = <p>No changes have been recorded for this event yet.</p>;
+
+    if (data.length > 0) {
+      content = (
+        <ol className="revisions-list">
+          {data.map((revision) => (
+            <li key={revision.id}>
+              <header>
+                <p>
+                  <span className="revision-action">{revision.action}</span>
+                  {revision.author && ` by ${revision.author}`}
+                </p>
+                <time dateTime={revision.createdAt}>
+                  {formatRevisionDate(revision.createdAt)}
+                </time>
+              </header>
+              {revision.changes.length > 0 && (
+                <table>
+                  <tbody>
+                    {revision.changes.map((change) => (
+                      <tr key={change.field}>
+                        <th>{FIELD_LABELS[change.field] ?? change.field}</th>
+                        <td className="revision-from">
+                          {formatValue(change.from)}
+                        </td>
+                        <td className="revision-to">
+                          {formatValue(change.to)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+              {/* the current state of the event can't be restored, it is already there */}
+              {canRevert && revision.version !== event.version && (
+                <button
+                  className="button-text"
+                  onClick={() => handleRevert(revision.id)}
+                  disabled={revert.isPending}
+                >
+                  Revert to this version
+                </button>
+              )}
+            </li>
+          ))}
+        </ol>
+      );
+    }
+  }
+
+  return (
+    <section id="event-history">
+      <header>
+        <h2>History</h2>
+        <button
+          className="button-text"
+          onClick={() => setIsOpen((wasOpen) => !wasOpen)}
+        >
+          {isOpen ? "Hide" : "Show"}
+        </button>
+      </header>
+      {isOpen && (
+        <>
+          {revert.isError && revert.error.info?.errors && (
+            <ErrorBlock
+              title={revert.error.info.message}
+              message={Object.values(revert.error.info.errors).join(" ")}
+            />
+          )}
+          {content}
+        </>
+      )}
+    </section>
+  );
+}
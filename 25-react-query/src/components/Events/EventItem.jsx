@@ -1,22 +1,45 @@
 import { Link } from 'react-router-dom';
 
+import { queryClient } from '../../util/http.js';
+import { eventQuery } from '../../util/queries.js';
+import { API_URL } from '../../util/api-client.js';
+import HighlightedText from '../UI/HighlightedText.jsx';
+
 export default function EventItem({ event }) {
   const formattedDate = new Date(event.date).toLocaleDateString('en-US', {
     day: 'numeric',
     month: 'short',
     year: 'numeric',
   });
+
+  // start loading the details as soon as the user shows interest in them,
+  // so the details page can be rendered from the cache right away
+  function handlePrefetch() {
+    queryClient.prefetchQuery(eventQuery(event.id));
+  }
+
   return (
     <article className="event-item">
-      <img src={`http://localhost:3000/${event.image}`} alt={event.title} />
+      <img src={`${API_URL}/${event.image}`} alt={event.title} />
       <div className="event-item-content">
         <div>
-          <h2>{event.title}</h2>
+          {/* search results contain the matched words */}
+          <h2>
+            <HighlightedText text={event.title} terms={event.matches} />
+          </h2>
           <p className="event-item-date">{formattedDate}</p>
-          <p className="event-item-location">{event.location}</p>
+          <p className="event-item-location">
+            <HighlightedText text={event.location} terms={event.matches} />
+            {event.distance !== undefined && ` (${event.distance} km away)`}
+          </p>
         </div>
         <p>
-          <Link to={`/events/${event.id}`} className="button">
+          <Link
+            to={`/events/${event.id}`}
+            className="button"
+            onMouseEnter={handlePrefetch}
+            onFocus={handlePrefetch}
+          >
             View Details
           </Link>
         </p>
@@ -0,0 +1,176 @@
+import { useState } from "react";
+import { useMutation } from "@tanstack/react-query";
+
+import {
+  cancelRegistration,
+  queryClient,
+  registerForEvent,
+} from "../../util/http.js";
+import ErrorBlock from "../UI/ErrorBlock.jsx";
+
+// the backend doesn't know who is using the browser,
+// so the email and the cancel key of the registration are remembered per event to allow cancelling later
+const STORAGE_KEY = "event-registrations";
+
+// { [eventId]: { email, cancelKey } }
+function getStoredRegistrations() {
+  return JSON.parse(localStorage.getItem(STORAGE_KEY) ?? "{}");
+}
+
+// registrations stored before there were cancel keys are only the email,
+// the backend doesn't cancel them without the key
+function getStoredRegistration(eventId) {
+  const registration = getStoredRegistrations()[eventId];
+  return typeof registration === "string"
+    ? { email: registration }
+    : (registration ?? null);
+}
+
+function storeRegistration(eventId, registration) {
+  const registrations = getStoredRegistrations();
+  if (registration) {
+    registrations[eventId] = registration;
+  } else {
+    delete registrations[eventId];
+  }
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(registrations));
+}
+
+export default function EventRegistration({ event }) {
+  const [storedRegistration, setStoredRegistration] = useState(() =>
+    getStoredRegistration(event.id)
+  );
+  const registeredEmail = storedRegistration?.email;
+
+  // both endpoints respond with the new seat counts, which are merged into the cached event
+  function updateCachedSeats({ attendeeCount, seatsLeft }) {
+    queryClient.setQueryData(["events", { id: event.id }], (cachedEvent) =>
+      cachedEvent ? { ...cachedEvent, attendeeCount, seatsLeft } : cachedEvent
+    );
+  }
+
+  const register = useMutation({
+    mutationFn: registerForEvent,
+    onSuccess: (data, { registration }) => {
+      updateCachedSeats(data);
+      const newRegistration = {
+        email: registration.email,
+        cancelKey: data.registration.cancelKey,
+      };
+      storeRegistration(event.id, newRegistration);
+      setStoredRegistration(newRegistration);
+    },
+    onError: (error) => {
+      // someone else took the last seat, show the real numbers
+      if (error.code === 409) {
+        queryClient.invalidateQueries({
+          queryKey: ["events", { id: event.id }],
+        });
+      }
+    },
+  });
+
+  const cancel = useMutation({
+    mutationFn: cancelRegistration,
+    onSuccess: (data) => {
+      updateCachedSeats(data);
+      storeRegistration(event.id, null);
+      setStoredRegistration(null);
+    },
+  });
+
+  function handleRegister(formEvent) {
+    formEvent.preventDefault();
+    const registration = Object.fromEntries(new FormData(formEvent.target));
+    register.mutate({ id: event.id, registration });
+  }
+
+  function handleCancel() {
+    cancel.mutate({ id: event.id, ...storedRegistration });
+  }
+
+  const isFullyBooked = event.seatsLeft === 0;
+  const fieldErrors = register.error?.info?.errors;
+
+  let seats = `${event.attendeeCount} going`;
+  if (event.seatsLeft !== null) {
+    seats = `${event.seatsLeft} of ${event.capacity} seats left`;
+  }
+
+  let content;
+
+  if (registeredEmail) {
+    content = (
+      <>
+        <p>You are registered for this event ({registeredEmail}).</p>
+        {!storedRegistration.cancelKey && (
+          <p>
+            This registration was made before it could be cancelled here, please
+            contact the organizer to cancel it.
+          </p>
+        )}
+        {storedRegistration.cancelKey && (
+          <p className="form-actions">
+            {cancel.isPending && "Cancelling..."}
+            {!cancel.isPending && (
+              <button className="button-text" onClick={handleCancel}>
+                Cancel my registration
+              </button>
+            )}
+          </p>
+        )}
+        {cancel.isError && (
+          <ErrorBlock
+            title="Failed to cancel the registration"
+            message={cancel.error.info?.message || "Please try again later."}
+          />
+        )}
+      </>
+    );
+  } else if (isFullyBooked) {
+    content = <p>This event is fully booked.</p>;
+  } else {
+    content = (
+      <form id="registration-form" onSubmit={handleRegister}>
+        <p className="control">
+          <label htmlFor="registration-name">Name</label>
+          <input type="text" id="registration-name" name="name" />
+          {fieldErrors?.name && (
+            <span className="control-error">{fieldErrors.name}</span>
+          )}
+        </p>
+        <p className="control">
+          <label htmlFor="registration-email">Email</label>
+          <input type="email" id="registration-email" name="email" />
+          {fieldErrors?.email && (
+            <span className="control-error">{fieldErrors.email}</span>
+          )}
+        </p>
+        <p className="form-actions">
+          {register.isPending && "Registering..."}
+          {!register.isPending && (
+            <button type="submit" className="button">
+              Register
+            </button>
+          )}
+        </p>
+        {register.isError && !fieldErrors && (
+          <ErrorBlock
+            title="Failed to register"
+            message={register.error.info?.message || "Please try again later."}
+          />
+        )}
+      </form>
+    );
+  }
+
+  return (
+    <section id="event-registration">
+      <header>
+        <h2>RSVP</h2>
+        <p className="event-registration-seats">{seats}</p>
+      </header>
+      {content}
+    </section>
+  );
+}
@@ -0,0 +1,240 @@
+import { useQuery } from "@tanstack/react-query";
+
+import ImagePicker from "../ImagePicker.jsx";
+import ImageUploadTile from "../ImageUploadTile.jsx";
+import ErrorBlock from "../UI/ErrorBlock.jsx";
+import { imagesQuery } from "../../util/queries.js";
+import { API_URL } from "../../util/api-client.js";
+
+// every step gets the draft data, the validation errors of its fields
+// and onChange, which is called with the changed fields ({ title: "..." })
+
+function Field({ id, label, error, children }) {
+  return (
+    <p className="control">
+      <label htmlFor={id}>{label}</label>
+      {children}
+      {error && <span className="control-error">{error}</span>}
+    </p>
+  );
+}
+
+function handleInput(onChange) {
+  return (event) => onChange({ [event.target.name]: event.target.value });
+}
+
+export function DetailsStep({ data, errors, onChange }) {
+  return (
+    <>
+      <Field id="title" label="Title" error={errors.title}>
+        <input
+          type="text"
+          id="title"
+          name="title"
+          value={data.title}
+          onChange={handleInput(onChange)}
+        />
+      </Field>
+      <Field id="description" label="Description" error={errors.description}>
+        <textarea
+          id="description"
+          name="description"
+          value={data.description}
+          onChange={handleInput(onChange)}
+        />
+      </Field>
+      <Field
+        id="capacity"
+        label="Capacity (leave empty for unlimited seats)"
+        error={errors.capacity}
+      >
+        <input
+          type="number"
+          id="capacity"
+          name="capacity"
+          min="1"
+          value={data.capacity}
+          onChange={handleInput(onChange)}
+        />
+      </Field>
+    </>
+  );
+}
+
+export function ScheduleStep({ data, errors, onChange }) {
+  function handleRecurrenceChange(event) {
+    const { name, value } = event.target;
+    const recurrence = { ...data.recurrence, [name]: value };
+    onChange({ recurrence: recurrence.frequency ? recurrence : null });
+  }
+
+  return (
+    <>
+      <div className="controls-row">
+        <Field id="date" label="Date" error={errors.date}>
+          <input
+            type="date"
+            id="date"
+            name="date"
+            value={data.date}
+            onChange={handleInput(onChange)}
+          />
+        </Field>
+        <Field id="time" label="Time" error={errors.time}>
+          <input
+            type="time"
+            id="time"
+            name="time"
+            value={data.time}
+            onChange={handleInput(onChange)}
+          />
+        </Field>
+      </div>
+      <div className="controls-row">
+        <Field
+          id="recurrenceFrequency"
+          label="Repeats"
+          error={errors.recurrence}
+        >
+          <select
+            id="recurrenceFrequency"
+            name="frequency"
+            value={data.recurrence?.frequency ?? ""}
+            onChange={handleRecurrenceChange}
+          >
+            <option value="">Never</option>
+            <option value="weekly">Weekly</option>
+            <option value="monthly">Monthly</option>
+          </select>
+        </Field>
+        <Field id="recurrenceUntil" label="Until">
+          <input
+            type="date"
+            id="recurrenceUntil"
+            name="until"
+            value={data.recurrence?.until ?? ""}
+            disabled={!data.recurrence}
+            onChange={handleRecurrenceChange}
+          />
+        </Field>
+      </div>
+    </>
+  );
+}
+
+export function LocationStep({ data, errors, onChange }) {
+  return (
+    <>
+      <Field id="location" label="Location" error={errors.location}>
+        <input
+          type="text"
+          id="location"
+          name="location"
+          placeholder="e.g. Innovation Lounge, New York, NY"
+          value={data.location}
+          onChange={handleInput(onChange)}
+        />
+      </Field>
+      <p className="wizard-hint">
+        The position of common cities is looked up automatically, enter the
+        coordinates only for a more exact pin on the map.
+      </p>
+      <div className="controls-row">
+        <Field id="lat" label="Latitude (optional)" error={errors.lat}>
+          <input
+            type="number"
+            id="lat"
+            name="lat"
+            step="any"
+            value={data.lat}
+            onChange={handleInput(onChange)}
+          />
+        </Field>
+        <Field id="lng" label="Longitude (optional)" error={errors.lng}>
+          <input
+            type="number"
+            id="lng"
+            name="lng"
+            step="any"
+            value={data.lng}
+            onChange={handleInput(onChange)}
+          />
+        </Field>
+      </div>
+    </>
+  );
+}
+
+export function ImageStep({ data, errors, onChange }) {
+  const { data: images, isPending, isError } = useQuery(imagesQuery());
+
+  function handleSelectImage(image) {
+    onChange({ image });
+  }
+
+  return (
+    <>
+      {isPending && <p>Loading selectable images...</p>}
+      {isError && (
+        <ErrorBlock
+          title="Failed to load selectable images"
+          message="Please try again later"
+        />
+      )}
+      {images && (
+        <div className="control">
+          <ImagePicker
+            images={images}
+            onSelect={handleSelectImage}
+            selectedImage={data.image}
+          >
+            <ImageUploadTile onUploaded={handleSelectImage} />
+          </ImagePicker>
+          {errors.image && (
+            <span className="control-error">{errors.image}</span>
+          )}
+        </div>
+      )}
+    </>
+  );
+}
+
+export function ReviewStep({ data, onEditStep }) {
+  const rows = [
+    { label: "Title", value: data.title, step: 0 },
+    { label: "Description", value: data.description, step: 0 },
+    { label: "Capacity", value: data.capacity || "Unlimited", step: 0 },
+    { label: "Date", value: `${data.date} @ ${data.time}`, step: 1 },
+    {
+      label: "Repeats",
+      value: data.recurrence
+        ? `${data.recurrence.frequency} until ${data.recurrence.until}`
+        : "Never",
+      step: 1,
+    },
+    { label: "Location", value: data.location, step: 2 },
+  ];
+
+  return (
+    <div id="wizard-review">
+      {data.image && <img src={`${API_URL}/${data.image}`} alt={data.title} />}
+      <dl>
+        {rows.map((row) => (
+          <div key={row.label}>
+            <dt>{row.label}</dt>
+            <dd>
+              {row.value}{" "}
+              <button
+                type="button"
+                className="button-text"
+                onClick={() => onEditStep(row.step)}
+              >
+                Edit
+              </button>
+            </dd>
+          </div>
+        ))}
+      </dl>
+    </div>
+  );
+}
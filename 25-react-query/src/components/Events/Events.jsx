@@ -4,12 +4,22 @@ import Header from '../Header.jsx';
 import EventsIntroSection from './EventsIntroSection.jsx';
 import FindEventSection from './FindEventSection.jsx';
 import NewEventsSection from './NewEventsSection.jsx';
+import { API_URL } from '../../util/api-client.js';
+
+// webcal:// links open the subscription dialog of the calendar app
+const CALENDAR_FEED_URL = `${API_URL.replace(/^https?:/, 'webcal:')}/events.ics`;
 
 export default function Events() {
   return (
     <>
       <Outlet />
       <Header>
+        <Link to="/events/trash" className="nav-item">
+          Trash
+        </Link>
+        <a href={CALENDAR_FEED_URL} className="nav-item">
+          Subscribe to calendar
+        </a>
         <Link to="/events/new" className="button">
           New Event
         </Link>
@@ -0,0 +1,177 @@
+import { useEffect, useRef, useState } from "react";
+
+const RADIUS_OPTIONS = [10, 25, 50, 100, 250];
+
+// filters : the current filter values (read from the URL search params)
+// onChange : called with the name and the new value of the changed filter
+export default function EventsFilterBar({ filters, onChange }) {
+  const lastLocationChange = useRef();
+  const [isLocating, setIsLocating] = useState(false);
+  const [locateError, setLocateError] = useState();
+
+  // a pending location change is dropped once the filter bar is gone
+  useEffect(() => {
+    return () => {
+      clearTimeout(lastLocationChange.current);
+    };
+  }, []);
+
+  function handleChange(event) {
+    const { name, value, type, checked } = event.target;
+    onChange(name, type === "checkbox" ? (checked ? "true" : "") : value);
+  }
+
+  function handleLocationChange(event) {
+    // debounce the location filter to avoid refetching on every key press
+    if (lastLocationChange.current) {
+      clearTimeout(lastLocationChange.current);
+    }
+
+    lastLocationChange.current = setTimeout(() => {
+      lastLocationChange.current = null;
+      onChange("location", event.target.value);
+    }, 500);
+  }
+
+  function handleNearMeChange(event) {
+    setLocateError(null);
+
+    if (!event.target.checked) {
+      onChange("near", "");
+      return;
+    }
+
+    if (!navigator.geolocation) {
+      setLocateError("Your browser can't determine your position.");
+      return;
+    }
+
+    setIsLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => {
+        setIsLocating(false);
+        // rounded to about 100m, the exact position is neither needed nor shared in the URL
+        onChange(
+          "near",
+          `${coords.latitude.toFixed(3)},${coords.longitude.toFixed(3)}`
+        );
+      },
+      () => {
+        setIsLocating(false);
+        setLocateError("Your position could not be determined.");
+      }
+    );
+  }
+
+  return (
+    <div id="filter-bar">
+      <p className="control">
+        <label htmlFor="filter-sort">Sort by</label>
+        <select
+          id="filter-sort"
+          name="sort"
+          value={filters.sort}
+          onChange={handleChange}
+        >
+          <option value="">Date added</option>
+          <option value="date">Event date</option>
+          <option value="title">Title</option>
+          {filters.near && <option value="distance">Distance</option>}
+        </select>
+      </p>
+
+      <p className="control">
+        <label htmlFor="filter-order">Order</label>
+        <select
+          id="filter-order"
+          name="order"
+          value={filters.order || "asc"}
+          onChange={handleChange}
+          disabled={!filters.sort}
+        >
+          <option value="asc">Ascending</option>
+          <option value="desc">Descending</option>
+        </select>
+      </p>
+
+      <p className="control">
+        <label htmlFor="filter-from">From</label>
+        <input
+          type="date"
+          id="filter-from"
+          name="from"
+          value={filters.from}
+          max={filters.to || undefined}
+          onChange={handleChange}
+        />
+      </p>
+
+      <p className="control">
+        <label htmlFor="filter-to">To</label>
+        <input
+          type="date"
+          id="filter-to"
+          name="to"
+          value={filters.to}
+          min={filters.from || undefined}
+          onChange={handleChange}
+        />
+      </p>
+
+      <p className="control">
+        <label htmlFor="filter-location">Location</label>
+        <input
+          type="text"
+          id="filter-location"
+          name="location"
+          placeholder="Any city"
+          defaultValue={filters.location}
+          onChange={handleLocationChange}
+        />
+      </p>
+
+      <p className="control control-checkbox">
+        <input
+          type="checkbox"
+          id="filter-upcoming"
+          name="upcoming"
+          checked={filters.upcoming === "true"}
+          onChange={handleChange}
+        />
+        <label htmlFor="filter-upcoming">Upcoming only</label>
+      </p>
+
+      <p className="control control-checkbox">
+        <input
+          type="checkbox"
+          id="filter-near"
+          checked={Boolean(filters.near)}
+          disabled={isLocating}
+          onChange={handleNearMeChange}
+        />
+        <label htmlFor="filter-near">
+          {isLocating ? "Locating..." : "Near me"}
+        </label>
+        {locateError && <span className="control-error">{locateError}</span>}
+      </p>
+
+      {filters.near && (
+        <p className="control">
+          <label htmlFor="filter-radius">Within</label>
+          <select
+            id="filter-radius"
+            name="radius"
+            value={filters.radius || "50"}
+            onChange={handleChange}
+          >
+            {RADIUS_OPTIONS.map((radius) => (
+              <option key={radius} value={radius}>
+                {radius} km
+              </option>
+            ))}
+          </select>
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,144 @@
+import { useNavigate } from "react-router-dom";
+
+const WIDTH = 800;
+const HEIGHT = 450;
+const PADDING = 40;
+// the visible area is at least this many degrees wide, so a single pin isn't zoomed in endlessly
+const MIN_SPAN = 2;
+
+// the bounds of all positions, widened to MIN_SPAN degrees and to the aspect ratio of the map
+function getBounds(positions) {
+  const lats = positions.map((position) => position.lat);
+  const lngs = positions.map((position) => position.lng);
+  const centerLat = (Math.min(...lats) + Math.max(...lats)) / 2;
+  const centerLng = (Math.min(...lngs) + Math.max(...lngs)) / 2;
+
+  let latSpan = Math.max(Math.max(...lats) - Math.min(...lats), MIN_SPAN);
+  let lngSpan = Math.max(Math.max(...lngs) - Math.min(...lngs), MIN_SPAN);
+
+  const innerWidth = WIDTH - 2 * PADDING;
+  const innerHeight = HEIGHT - 2 * PADDING;
+  if (lngSpan / latSpan > innerWidth / innerHeight) {
+    latSpan = (lngSpan * innerHeight) / innerWidth;
+  } else {
+    lngSpan = (latSpan * innerWidth) / innerHeight;
+  }
+
+  return {
+    north: centerLat + latSpan / 2,
+    west: centerLng - lngSpan / 2,
+    latSpan,
+    lngSpan,
+  };
+}
+
+// equirectangular projection : longitude and latitude are mapped linearly to x and y
+function project(position, bounds) {
+  return {
+    x:
+      PADDING +
+      ((position.lng - bounds.west) / bounds.lngSpan) * (WIDTH - 2 * PADDING),
+    y:
+      PADDING +
+      ((bounds.north - position.lat) / bounds.latSpan) * (HEIGHT - 2 * PADDING),
+  };
+}
+
+// grid lines at "round" degrees, roughly five in each direction
+function getGridLines(start, span) {
+  const step = [1, 2, 5, 10, 20, 30, 45].find((value) => span / value <= 6);
+  const lines = [];
+  for (
+    let value = Math.ceil(start / step) * step;
+    value <= start + span;
+    value += step
+  ) {
+    lines.push(value);
+  }
+  return lines;
+}
+
+// renders the events as pins without any map tiles, so it works offline as well
+// events : list items with lat / lng (events without coordinates are skipped)
+// center : the position of the user for "near me" searches
+export default function EventsMap({ events, center }) {
+  const navigate = useNavigate();
+
+  // recurring events are listed once per occurrence, but need only one pin
+  const pins = [
+    ...new Map(
+      events
+        .filter((event) => event.lat !== undefined && event.lat !== null)
+        .map((event) => [event.id, event])
+    ).values(),
+  ];
+  const missingCount = new Set(
+    events
+      .filter((event) => event.lat === undefined || event.lat === null)
+      .map((event) => event.id)
+  ).size;
+
+  if (pins.length === 0) {
+    return <p>None of these events has a known location.</p>;
+  }
+
+  const bounds = getBounds(center ? [...pins, center] : pins);
+
+  return (
+    <div id="events-map">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img">
+        <title>Map of the events</title>
+        <rect width={WIDTH} height={HEIGHT} className="map-background" />
+        {getGridLines(bounds.west, bounds.lngSpan).map((lng) => {
+          const { x } = project({ lat: 0, lng }, bounds);
+          return <line key={`lng-${lng}`} x1={x} x2={x} y1={0} y2={HEIGHT} />;
+        })}
+        {getGridLines(bounds.north - bounds.latSpan, bounds.latSpan).map(
+          (lat) => {
+            const { y } = project({ lat, lng: 0 }, bounds);
+            return <line key={`lat-${lat}`} x1={0} x2={WIDTH} y1={y} y2={y} />;
+          }
+        )}
+        {center && (
+          <circle
+            className="map-center"
+            r="7"
+            cx={project(center, bounds).x}
+            cy={project(center, bounds).y}
+          >
+            <title>Your position</title>
+          </circle>
+        )}
+        {pins.map((event) => {
+          const { x, y } = project(event, bounds);
+          return (
+            <g
+              key={event.id}
+              className="map-pin"
+              transform={`translate(${x} ${y})`}
+              tabIndex={0}
+              role="link"
+              onClick={() => navigate(`/events/${event.id}`)}
+              onKeyDown={(keyEvent) => {
+                if (keyEvent.key === "Enter") {
+                  navigate(`/events/${event.id}`);
+                }
+              }}
+            >
+              <title>{`${event.title} – ${event.location}`}</title>
+              <path d="M0 0 L-8 -14 A9 9 0 1 1 8 -14 Z" />
+              <text x="12" y="-10">
+                {event.title}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+      {missingCount > 0 && (
+        <p className="map-note">
+          {missingCount} event(s) without a known location are not shown.
+        </p>
+      )}
+    </div>
+  );
+}
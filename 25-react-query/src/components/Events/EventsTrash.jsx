@@ -0,0 +1,92 @@
+import { Link } from "react-router-dom";
+import { useQuery } from "@tanstack/react-query";
+
+import Header from "../Header.jsx";
+import LoadingIndicator from "../UI/LoadingIndicator.jsx";
+import ErrorBlock from "../UI/ErrorBlock.jsx";
+import { trashQuery } from "../../util/queries.js";
+import { API_URL } from "../../util/api-client.js";
+import { useRestoreEvent } from "../../hooks/useEventMutations.js";
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString("en-US", {
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+  });
+}
+
+export default function EventsTrash() {
+  const { data, isPending, isError, error } = useQuery(trashQuery());
+  const { mutate: restore } = useRestoreEvent();
+
+  let content;
+
+  if (isPending) {
+    content = <LoadingIndicator />;
+  }
+
+  if (isError) {
+    content = (
+      <ErrorBlock
+        title="An error occurred"
+        message={error.info?.message || "Failed to fetch the deleted events"}
+      />
+    );
+  }
+
+  if (data) {
+    content = <p>The trash is empty.</p>;
+
+    if (data.length > 0) {
+      content = (
+        <ul className="events-list">
+          {data.map((event) => (
+            <li key={event.id}>
+              <article className="event-item">
+                <img src={`${API_URL}/${event.image}`} alt={event.title} />
+                <div className="event-item-content">
+                  <div>
+                    <h2>{event.title}</h2>
+                    <p className="event-item-date">
+                      Deleted on {formatDate(event.deletedAt)}
+                    </p>
+                    <p className="event-item-location">
+                      Removed for good on {formatDate(event.purgeAt)}
+                    </p>
+                  </div>
+                  <p>
+                    <button
+                      className="button"
+                      onClick={() => restore({ id: event.id })}
+                    >
+                      Restore
+                    </button>
+                  </p>
+                </div>
+              </article>
+            </li>
+          ))}
+        </ul>
+      );
+    }
+  }
+
+  return (
+    <>
+      <Header>
+        <Link to="/events" className="nav-item">
+          View all Events
+        </Link>
+      </Header>
+      <main>
+        <section className="content-section" id="trash-section">
+          <header>
+            <h2>Deleted events</h2>
+          </header>
+          {content}
+        </section>
+      </main>
+    </>
+  );
+}
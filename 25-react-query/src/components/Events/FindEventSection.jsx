@@ -1,25 +1,133 @@
-import { useRef, useState } from "react";
-import { useQuery } from "@tanstack/react-query";
+import { useEffect, useRef } from "react";
+import { useSearchParams } from "react-router-dom";
+import { useInfiniteQuery } from "@tanstack/react-query";
 import { fetchEvents } from "../../util/http.js";
 import LoadingIndicator from "../UI/LoadingIndicator.jsx";
 import ErrorBlock from "../UI/ErrorBlock.jsx";
 import EventItem from "./EventItem.jsx";
+import EventsFilterBar from "./EventsFilterBar.jsx";
+import EventsMap from "./EventsMap.jsx";
+
+const PAGE_SIZE = 6;
+const FILTER_NAMES = [
+  "sort",
+  "order",
+  "from",
+  "to",
+  "location",
+  "upcoming",
+  "near",
+  "radius",
+];
+
+// "lat,lng" -> { lat, lng }
+function parsePosition(value) {
+  const [lat, lng] = value.split(",").map(Number);
+  return { lat, lng };
+}
 
 export default function FindEventSection() {
   const searchElement = useRef();
-  const [searchTerm, setSearchTerm] = useState();
+  const loadMoreElement = useRef();
+  // the search term and the filters live in the URL, so a filtered list can be shared or bookmarked
+  const [searchParams, setSearchParams] = useSearchParams();
+  const searchTerm = searchParams.get("search") ?? undefined;
+  const filters = Object.fromEntries(
+    FILTER_NAMES.map((name) => [name, searchParams.get(name) ?? ""])
+  );
+  const hasFilters = FILTER_NAMES.some((name) => filters[name]);
+  // the view is part of the URL as well, but it doesn't change the query
+  const isMapView = searchParams.get("view") === "map";
 
-  // the query wants the event data that matches the search term
+  // the query wants the event data that matches the search term and the filters
   // react query treats isPending as true unless the query is enabled
-  const { data, isLoading, isError, error } = useQuery({
-    queryKey: ["events", { search: searchTerm }],
-    queryFn: ({ signal }) => fetchEvents(signal, searchTerm),
-    enabled: searchTerm !== undefined,
+  // useInfiniteQuery stores every fetched page in data.pages
+  const {
+    data,
+    isLoading,
+    isError,
+    error,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage,
+  } = useInfiniteQuery({
+    queryKey: ["events", { search: searchTerm, ...filters, limit: PAGE_SIZE }],
+    queryFn: ({ signal, pageParam }) =>
+      fetchEvents({
+        signal,
+        searchTerm,
+        ...filters,
+        page: pageParam,
+        limit: PAGE_SIZE,
+      }),
+    initialPageParam: 1,
+    // returning undefined tells react query that there is no next page
+    getNextPageParam: (lastPage) => lastPage.pagination.nextPage ?? undefined,
+    enabled: searchTerm !== undefined || hasFilters,
   });
 
+  // infinite scroll : load the next page as soon as the "Load more" button becomes visible
+  useEffect(() => {
+    const element = loadMoreElement.current;
+
+    if (!element || !hasNextPage) {
+      return;
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting && !isFetchingNextPage) {
+        fetchNextPage();
+      }
+    });
+    observer.observe(element);
+
+    return () => {
+      observer.disconnect();
+    };
+  }, [hasNextPage, isFetchingNextPage, fetchNextPage]);
+
   function handleSubmit(event) {
     event.preventDefault();
-    setSearchTerm(searchElement.current.value);
+    setSearchParams((prevParams) => {
+      const params = new URLSearchParams(prevParams);
+      params.set("search", searchElement.current.value);
+      return params;
+    });
+  }
+
+  function handleFilterChange(name, value) {
+    setSearchParams(
+      (prevParams) => {
+        const params = new URLSearchParams(prevParams);
+        if (value) {
+          params.set(name, value);
+        } else {
+          params.delete(name);
+        }
+        // sorting by distance is only possible for "near me" searches
+        if (!params.get("near") && params.get("sort") === "distance") {
+          params.delete("sort");
+        }
+        return params;
+      },
+      // filter changes should not pile up in the browser history
+      { replace: true }
+    );
+  }
+
+  function handleViewChange(view) {
+    setSearchParams(
+      (prevParams) => {
+        const params = new URLSearchParams(prevParams);
+        if (view === "map") {
+          params.set("view", "map");
+        } else {
+          params.delete("view");
+        }
+        return params;
+      },
+      { replace: true }
+    );
   }
 
   let content = <p>Please enter a search term and to find events.</p>;
@@ -38,14 +146,41 @@ export default function FindEventSection() {
   }
 
   if (data) {
+    const events = data.pages.flatMap((page) => page.events);
+    const { total } = data.pages[0].pagination;
+
     content = (
-      <ul className="events-list">
-        {data.map((event) => (
-          <li key={event.id}>
-            <EventItem event={event} />
-          </li>
-        ))}
-      </ul>
+      <>
+        <p className="events-count">
+          Showing {events.length} of {total} events
+        </p>
+        {isMapView && (
+          <EventsMap
+            events={events}
+            center={filters.near ? parsePosition(filters.near) : undefined}
+          />
+        )}
+        {!isMapView && (
+          <ul className="events-list">
+            {/* recurring events are listed once per occurrence, so the id alone isn't unique */}
+            {events.map((event) => (
+              <li key={`${event.id}-${event.date}`}>
+                <EventItem event={event} />
+              </li>
+            ))}
+          </ul>
+        )}
+        {hasNextPage && (
+          <p className="load-more" ref={loadMoreElement}>
+            {isFetchingNextPage && <LoadingIndicator />}
+            {!isFetchingNextPage && (
+              <button className="button" onClick={() => fetchNextPage()}>
+                Load more
+              </button>
+            )}
+          </p>
+        )}
+      </>
     );
   }
 
@@ -57,10 +192,26 @@ export default function FindEventSection() {
           <input
             type="search"
             placeholder="Search events"
+            defaultValue={searchTerm}
             ref={searchElement}
           />
           <button>Search</button>
         </form>
+        <EventsFilterBar filters={filters} onChange={handleFilterChange} />
+        <div className="view-toggle" role="group" aria-label="View">
+          <button
+            className={isMapView ? "button-text" : "button-text active"}
+            onClick={() => handleViewChange("list")}
+          >
+            List
+          </button>
+          <button
+            className={isMapView ? "button-text active" : "button-text"}
+            onClick={() => handleViewChange("map")}
+          >
+            Map
+          </button>
+        </div>
       </header>
       {content}
     </section>
@@ -1,51 +1,290 @@
-import { Link, useNavigate } from "react-router-dom";
+import { useState } from "react";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
 
 import Modal from "../UI/Modal.jsx";
-import EventForm from "./EventForm.jsx";
-import { useMutation } from "@tanstack/react-query";
-import { createNewEvent, queryClient } from "../../util/http.js";
 import ErrorBlock from "../UI/ErrorBlock.jsx";
+import {
+  DetailsStep,
+  ImageStep,
+  LocationStep,
+  ReviewStep,
+  ScheduleStep,
+} from "./EventWizardSteps.jsx";
+import { onlineManager, useMutation, useQuery } from "@tanstack/react-query";
+import { createNewEvent, queryClient } from "../../util/http.js";
+import { eventDraftQuery } from "../../util/queries.js";
+import { validateEventFields } from "../../util/event-validation.js";
+import { useEventDraft } from "../../hooks/useEventDraft.js";
+
+// the fields of every step are validated before the next step can be opened
+const STEPS = [
+  {
+    title: "Details",
+    fields: ["title", "description", "capacity"],
+    Component: DetailsStep,
+  },
+  {
+    title: "Date & time",
+    fields: ["date", "time", "recurrence"],
+    Component: ScheduleStep,
+  },
+  {
+    title: "Location",
+    fields: ["location", "lat", "lng"],
+    Component: LocationStep,
+  },
+  { title: "Image", fields: ["image"], Component: ImageStep },
+  { title: "Review", fields: [], Component: ReviewStep },
+];
+
+function findStepOfField(field) {
+  const step = STEPS.findIndex((item) => item.fields.includes(field));
+  return step === -1 ? STEPS.length - 1 : step;
+}
+
+function formatSavedAt(date) {
+  return new Date(date).toLocaleString("en-US", {
+    day: "numeric",
+    month: "short",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+}
 
 export default function NewEvent() {
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  // /events/new?draft=<id> continues a draft saved on another device
+  const sharedDraftId = searchParams.get("draft");
+  const [stepErrors, setStepErrors] = useState({});
+  const [restoredDraftId, setRestoredDraftId] = useState(null);
 
-  const { mutate, isPending, isError, error } = useMutation({
+  const {
+    draft,
+    storedDraft,
+    otherDrafts,
+    updateData,
+    setStep,
+    restore,
+    discard,
+    isSaving,
+    hasSaveError,
+    savedAt,
+  } = useEventDraft();
+  const { data, step } = draft;
+
+  const sharedDraft = useQuery({
+    ...eventDraftQuery(sharedDraftId),
+    enabled: Boolean(sharedDraftId),
+  });
+
+  // the shared draft is restored once, when it was loaded (state is adjusted during rendering, no effect needed)
+  if (sharedDraft.data && sharedDraft.data.id !== restoredDraftId) {
+    setRestoredDraftId(sharedDraft.data.id);
+    if (sharedDraft.data.id !== draft.id) {
+      restore(sharedDraft.data);
+    }
+  }
+
+  // errors without field details are reported by <MutationErrorToast />
+  const { mutate, isPending, error } = useMutation({
+    // the key links this mutation to its defaults in query-persistence.js, so it can be replayed after a reload
+    mutationKey: ["events", "create"],
     mutationFn: createNewEvent,
     onSuccess: () => {
       // invalidate the events query to refetch the data
       queryClient.invalidateQueries({ queryKey: ["events"] });
+      discard();
       navigate("/events");
     },
+    onError: (error) => {
+      // the backend found an error the wizard didn't check, show the step with the field
+      const fields = Object.keys(error.info?.errors ?? {});
+      if (fields.length > 0) {
+        setStep(Math.min(...fields.map(findStepOfField)));
+      }
+    },
   });
 
-  function handleSubmit(formData) {
-    mutate({ event: formData });
+  const errors = { ...error?.info?.errors, ...stepErrors };
+  const { Component } = STEPS[step];
+
+  function handleChange(fields) {
+    updateData(fields);
+    // fixed fields shouldn't be marked as invalid anymore
+    setStepErrors((prevErrors) => {
+      const remainingErrors = { ...prevErrors };
+      for (const field of Object.keys(fields)) {
+        delete remainingErrors[field];
+      }
+      return remainingErrors;
+    });
+  }
+
+  function goToStep(nextStep) {
+    // going back is always possible, going forward only if the steps in between are valid
+    for (let index = step; index < nextStep; index++) {
+      const stepErrors = validateEventFields(data, STEPS[index].fields);
+      if (Object.keys(stepErrors).length > 0) {
+        setStepErrors(stepErrors);
+        setStep(index);
+        return;
+      }
+    }
+
+    setStepErrors({});
+    setStep(nextStep);
+  }
+
+  function handleSubmit(event) {
+    event.preventDefault();
+
+    if (step < STEPS.length - 1) {
+      goToStep(step + 1);
+      return;
+    }
+
+    mutate({ event: data });
+
+    // while offline the mutation is queued and only sent once the connection returns
+    if (!onlineManager.isOnline()) {
+      discard();
+      navigate("/events");
+    }
+  }
+
+  let draftStatus = "Your changes are kept as a draft in this browser.";
+  if (isSaving) {
+    draftStatus = "Saving draft...";
+  } else if (hasSaveError) {
+    draftStatus =
+      "The draft could not be saved online, it is only kept in this browser.";
+  } else if (savedAt) {
+    draftStatus = `Draft saved at ${formatSavedAt(savedAt)}.`;
   }
 
+  const shareUrl =
+    draft.id &&
+    `${window.location.origin}/events/new?draft=${encodeURIComponent(draft.id)}`;
+
   return (
     <Modal onClose={() => navigate("../")}>
-      <EventForm onSubmit={handleSubmit}>
-        {isPending && "Submitting..."}
-        {!isPending && (
-          <>
-            <Link to="../" className="button-text">
-              Cancel
-            </Link>
-            <button type="submit" className="button">
-              Create
+      {storedDraft && (
+        <div className="wizard-restore">
+          <p>
+            You have an unfinished event
+            {storedDraft.data.title &&
+              ` ("${storedDraft.data.title}")`} from{" "}
+            {formatSavedAt(storedDraft.updatedAt)}.
+          </p>
+          <p className="form-actions">
+            <button
+              type="button"
+              className="button-text"
+              onClick={() => discard(storedDraft)}
+            >
+              Start over
             </button>
-          </>
-        )}
-      </EventForm>
-      {isError && (
+            <button
+              type="button"
+              className="button"
+              onClick={() => restore(storedDraft)}
+            >
+              Continue draft
+            </button>
+          </p>
+        </div>
+      )}
+
+      {!sharedDraftId && otherDrafts.length > 0 && (
+        <div className="wizard-restore">
+          <p>Continue one of your saved drafts:</p>
+          <ul className="wizard-drafts">
+            {otherDrafts.map((item) => (
+              <li key={item.id}>
+                <span>
+                  {item.data.title || "Untitled event"} (
+                  {formatSavedAt(item.updatedAt)})
+                </span>
+                <button
+                  type="button"
+                  className="button-text"
+                  onClick={() => restore(item)}
+                >
+                  Continue
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <ol className="wizard-steps">
+        {STEPS.map((item, index) => (
+          <li
+            key={item.title}
+            className={index === step ? "active" : undefined}
+          >
+            <button
+              type="button"
+              onClick={() => goToStep(index)}
+              disabled={isPending}
+            >
+              {index + 1}. {item.title}
+            </button>
+          </li>
+        ))}
+      </ol>
+
+      {sharedDraft.isPending && sharedDraftId && <p>Loading draft...</p>}
+      {sharedDraft.isError && (
         <ErrorBlock
-          title="Failed to create event"
-          message={
-            error.info?.message ||
-            "Failed to create event. Please check your inputs and try again later"
-          }
+          title="Failed to load the draft"
+          message={sharedDraft.error.info?.message || "Please try again later."}
         />
       )}
+
+      <form id="event-form" onSubmit={handleSubmit} noValidate>
+        <Component
+          data={data}
+          errors={errors}
+          onChange={handleChange}
+          onEditStep={goToStep}
+        />
+
+        <p className="wizard-draft-status">
+          {draftStatus}
+          {shareUrl && (
+            <>
+              {" "}
+              Continue on another device: <a href={shareUrl}>{shareUrl}</a>
+            </>
+          )}
+        </p>
+
+        <p className="form-actions">
+          {isPending && "Submitting..."}
+          {!isPending && (
+            <>
+              <Link to="../" className="button-text">
+                Cancel
+              </Link>
+              {step > 0 && (
+                <button
+                  type="button"
+                  className="button-text"
+                  onClick={() => goToStep(step - 1)}
+                >
+                  Back
+                </button>
+              )}
+              <button type="submit" className="button">
+                {step < STEPS.length - 1 ? "Next" : "Create"}
+              </button>
+            </>
+          )}
+        </p>
+      </form>
     </Modal>
   );
 }
@@ -1,18 +1,32 @@
-import { useQuery } from "@tanstack/react-query";
+import { useInfiniteQuery } from "@tanstack/react-query";
 
 import LoadingIndicator from "../UI/LoadingIndicator.jsx";
 import ErrorBlock from "../UI/ErrorBlock.jsx";
 import EventItem from "./EventItem.jsx";
 import { fetchEvents } from "../../util/http.js";
 
+const PAGE_SIZE = 3;
+
 export default function NewEventsSection() {
-  // useQuery : a hook that sends an HTTP request and caches the data
-  // useQuery returns an object with data, isPending, and isError properties
-  const { data, isPending, isError, error } = useQuery({
+  // useInfiniteQuery : like useQuery, but the data is fetched page by page
+  // every fetched page is stored in data.pages, the newest events come first
+  const {
+    data,
+    isPending,
+    isError,
+    error,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage,
+  } = useInfiniteQuery({
     // queryKey : the key that will be used to cache the data
-    queryKey: ["events", { max: 3 }],
+    queryKey: ["events", { sort: "added", order: "desc", limit: PAGE_SIZE }],
     // queryFn : the code that will send the request and return the data
-    queryFn: ({ signal, queryKey }) => fetchEvents({ signal, ...queryKey[1] }),
+    queryFn: ({ signal, queryKey, pageParam }) =>
+      fetchEvents({ signal, ...queryKey[1], page: pageParam }),
+    initialPageParam: 1,
+    // returning undefined tells react query that there is no next page
+    getNextPageParam: (lastPage) => lastPage.pagination.nextPage ?? undefined,
     staleTime: 5000,
     // gcTime: 30000,
   }); // sends HTTP request to fetch events and returns the data, loading state, and error state
@@ -33,14 +47,29 @@ export default function NewEventsSection() {
   }
 
   if (data) {
+    const events = data.pages.flatMap((page) => page.events);
+
+    // only the button loads more, the search section below would otherwise move away while scrolling
     content = (
-      <ul className="events-list">
-        {data.map((event) => (
-          <li key={event.id}>
-            <EventItem event={event} />
-          </li>
-        ))}
-      </ul>
+      <>
+        <ul className="events-list">
+          {events.map((event) => (
+            <li key={`${event.id}-${event.date}`}>
+              <EventItem event={event} />
+            </li>
+          ))}
+        </ul>
+        {hasNextPage && (
+          <p className="load-more">
+            {isFetchingNextPage && <LoadingIndicator />}
+            {!isFetchingNextPage && (
+              <button className="button" onClick={() => fetchNextPage()}>
+                Load more
+              </button>
+            )}
+          </p>
+        )}
+      </>
     );
   }
 
@@ -1,12 +1,49 @@
+import { useIsFetching } from '@tanstack/react-query';
+import { Link, useLocation, useNavigation } from 'react-router-dom';
+
+import { clearAuth, getLoginUrl, useAuthUser } from '../util/auth.js';
+import { queryClient } from '../util/http.js';
+
 export default function Header({ children }) {
+  // route loaders and background refetches don't show a spinner, so indicate them here
+  const fetching = useIsFetching();
+  const navigation = useNavigation();
+  const location = useLocation();
+  const user = useAuthUser();
+  const isLoading = fetching > 0 || navigation.state === 'loading';
+
+  function handleLogout() {
+    clearAuth();
+    // e.g. the history of an event names its authors only for logged in users
+    queryClient.invalidateQueries({ queryKey: ['events'] });
+  }
+
   return (
     <>
-      <div id="main-header-loading"></div>
+      <div id="main-header-loading">{isLoading && <progress />}</div>
       <header id="main-header">
         <div id="header-title">
           <h1>React Events</h1>
         </div>
-        <nav>{children}</nav>
+        <nav>
+          {children}
+          {user && (
+            <>
+              <span className="header-user">{user.email}</span>
+              <button className="button-text" onClick={handleLogout}>
+                Logout
+              </button>
+            </>
+          )}
+          {!user && location.pathname !== '/auth' && (
+            <Link
+              to={getLoginUrl(location.pathname + location.search)}
+              className="nav-item"
+            >
+              Login
+            </Link>
+          )}
+        </nav>
       </header>
     </>
   );
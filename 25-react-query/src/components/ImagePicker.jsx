@@ -1,4 +1,12 @@
-export default function ImagePicker({ images, selectedImage, onSelect }) {
+import { API_URL } from '../util/api-client.js';
+
+// children are rendered as additional tiles after the images (e.g. an upload tile)
+export default function ImagePicker({
+  images,
+  selectedImage,
+  onSelect,
+  children,
+}) {
   return (
     <div id="image-picker">
       <p>Select an image</p>
@@ -10,11 +18,12 @@ export default function ImagePicker({ images, selectedImage, onSelect }) {
             className={selectedImage === image.path ? 'selected' : undefined}
           >
             <img
-              src={`http://localhost:3000/${image.path}`}
+              src={`${API_URL}/${image.thumbnail ?? image.path}`}
               alt={image.caption}
             />
           </li>
         ))}
+        {children}
       </ul>
     </div>
   );
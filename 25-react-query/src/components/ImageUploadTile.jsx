@@ -0,0 +1,83 @@
+import { useEffect, useState } from "react";
+import { useMutation } from "@tanstack/react-query";
+
+import { queryClient, uploadEventImage } from "../util/http.js";
+import { imagesQuery } from "../util/queries.js";
+
+// keep these in sync with the checks of POST /events/images
+const ACCEPTED_TYPES = ["image/jpeg", "image/png", "image/webp"];
+const MAX_SIZE = 5 * 1024 * 1024;
+
+export default function ImageUploadTile({ onUploaded }) {
+  const [preview, setPreview] = useState();
+  const [progress, setProgress] = useState(0);
+  const [validationError, setValidationError] = useState();
+
+  const { mutate, isPending, isError, error } = useMutation({
+    mutationFn: uploadEventImage,
+    onSuccess: (image) => {
+      // add the new image to the cached catalogue instead of refetching it
+      queryClient.setQueryData(imagesQuery().queryKey, (images) =>
+        images ? [...images, image] : [image]
+      );
+      // the uploaded image is now part of the picker, so the preview isn't needed anymore
+      setPreview(undefined);
+      onUploaded(image.path);
+    },
+  });
+
+  // object URLs keep the file in memory until they are revoked
+  useEffect(() => {
+    return () => {
+      if (preview) {
+        URL.revokeObjectURL(preview);
+      }
+    };
+  }, [preview]);
+
+  function handleChange(event) {
+    const file = event.target.files[0];
+    // allow picking the same file again after an error
+    event.target.value = "";
+
+    if (!file) {
+      return;
+    }
+
+    if (!ACCEPTED_TYPES.includes(file.type)) {
+      setValidationError("Please pick a JPEG, PNG or WebP image.");
+      return;
+    }
+
+    if (file.size > MAX_SIZE) {
+      setValidationError("Images must not be larger than 5 MB.");
+      return;
+    }
+
+    setValidationError(null);
+    setProgress(0);
+    setPreview(URL.createObjectURL(file));
+    mutate({ file, caption: file.name, onProgress: setProgress });
+  }
+
+  const errorMessage =
+    validationError ||
+    (isError && (error.info?.message || "Failed to upload the image."));
+
+  return (
+    <li className="upload-tile" title={errorMessage || "Upload your own"}>
+      <label>
+        {preview && <img src={preview} alt="Preview of the uploaded image" />}
+        {!preview && <span>Upload your own</span>}
+        {isPending && <progress value={progress} max={100} />}
+        {errorMessage && <span className="upload-tile-error">!</span>}
+        <input
+          type="file"
+          accept={ACCEPTED_TYPES.join(",")}
+          onChange={handleChange}
+          disabled={isPending}
+        />
+      </label>
+    </li>
+  );
+}
@@ -0,0 +1,21 @@
+// must tokenize like the backend search index (see backend/util/search-index.js)
+function normalize(word) {
+  return word
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
+
+// highlights the words of the text that are part of terms (e.g. the matches of a search)
+export default function HighlightedText({ text, terms }) {
+  if (!terms?.length) {
+    return text;
+  }
+
+  // splitting with a capture group keeps the words and the separators between them
+  const parts = text.split(/([\p{L}\p{N}\u0300-\u036f]+)/u);
+
+  return parts.map((part, index) =>
+    terms.includes(normalize(part)) ? <mark key={index}>{part}</mark> : part
+  );
+}
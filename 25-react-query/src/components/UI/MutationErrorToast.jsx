@@ -0,0 +1,70 @@
+import { useEffect, useState } from "react";
+import { useMutationState } from "@tanstack/react-query";
+
+import ErrorBlock from "./ErrorBlock.jsx";
+
+const TOAST_DURATION = 5000;
+
+// shows an error toast for every failed event mutation, even if the component
+// which started the mutation is not rendered anymore
+export default function MutationErrorToast() {
+  const [dismissedIds, setDismissedIds] = useState([]);
+
+  const failedMutations = useMutationState({
+    filters: {
+      mutationKey: ["events"],
+      status: "error",
+      // only mutations that describe their error (see meta.errorTitle) are reported here
+      predicate: (mutation) => Boolean(mutation.options.meta?.errorTitle),
+    },
+    select: (mutation) => ({
+      id: mutation.mutationId,
+      // validation errors are rendered inline by <EventForm />
+      hasFieldErrors: Boolean(mutation.state.error?.info?.errors),
+      title: mutation.options.meta.errorTitle,
+      message:
+        mutation.state.error?.info?.message ||
+        "Your changes were reverted, please try again later.",
+    }),
+  });
+
+  const visibleToasts = failedMutations.filter(
+    (toast) => !toast.hasFieldErrors && !dismissedIds.includes(toast.id)
+  );
+  const visibleIds = visibleToasts.map((toast) => toast.id).join(",");
+
+  useEffect(() => {
+    if (!visibleIds) {
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      setDismissedIds((prevIds) => [
+        ...prevIds,
+        ...visibleIds.split(",").map(Number),
+      ]);
+    }, TOAST_DURATION);
+
+    return () => {
+      clearTimeout(timer);
+    };
+  }, [visibleIds]);
+
+  function handleDismiss(id) {
+    setDismissedIds((prevIds) => [...prevIds, id]);
+  }
+
+  if (visibleToasts.length === 0) {
+    return null;
+  }
+
+  return (
+    <ul id="toasts">
+      {visibleToasts.map((toast) => (
+        <li key={toast.id} onClick={() => handleDismiss(toast.id)}>
+          <ErrorBlock title={toast.title} message={toast.message} />
+        </li>
+      ))}
+    </ul>
+  );
+}
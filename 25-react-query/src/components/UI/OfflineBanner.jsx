@@ -0,0 +1,35 @@
+import { useSyncExternalStore } from "react";
+import { onlineManager, useMutationState } from "@tanstack/react-query";
+
+function subscribe(callback) {
+  return onlineManager.subscribe(callback);
+}
+
+function getIsOnline() {
+  return onlineManager.isOnline();
+}
+
+export default function OfflineBanner() {
+  // onlineManager is what react query itself uses to pause and resume requests
+  const isOnline = useSyncExternalStore(subscribe, getIsOnline);
+
+  const queuedMutations = useMutationState({
+    filters: { predicate: (mutation) => mutation.state.isPaused },
+  });
+
+  if (isOnline && queuedMutations.length === 0) {
+    return null;
+  }
+
+  let message = "You are offline. You are browsing cached events.";
+
+  if (queuedMutations.length > 0) {
+    message += ` ${queuedMutations.length} change(s) will be sent once you are back online.`;
+  }
+
+  if (isOnline) {
+    message = "Back online, sending your changes...";
+  }
+
+  return <p id="offline-banner">{message}</p>;
+}
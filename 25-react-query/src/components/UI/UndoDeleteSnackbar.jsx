@@ -0,0 +1,70 @@
+import { useEffect, useState } from "react";
+import { useMutationState } from "@tanstack/react-query";
+
+import { useRestoreEvent } from "../../hooks/useEventMutations.js";
+
+const SNACKBAR_DURATION = 8000;
+
+// offers to undo the latest deletion, like <MutationErrorToast /> it is rendered
+// outside of the pages because the details page is left right after deleting
+export default function UndoDeleteSnackbar() {
+  const [dismissedIds, setDismissedIds] = useState([]);
+  const { mutate: restore } = useRestoreEvent();
+
+  const deletions = useMutationState({
+    filters: { mutationKey: ["events", "delete"], status: "success" },
+    select: (mutation) => ({
+      id: mutation.mutationId,
+      eventId: mutation.state.variables.id,
+      title: mutation.state.variables.title,
+    }),
+  });
+
+  const pendingDeletions = deletions.filter(
+    (item) => !dismissedIds.includes(item.id)
+  );
+  const deletion = pendingDeletions.at(-1);
+  const pendingIds = pendingDeletions.map((item) => item.id).join(",");
+
+  useEffect(() => {
+    if (!pendingIds) {
+      return;
+    }
+
+    // older deletions are dismissed as well, they are only offered once
+    const timer = setTimeout(() => {
+      setDismissedIds((prevIds) => [
+        ...prevIds,
+        ...pendingIds.split(",").map(Number),
+      ]);
+    }, SNACKBAR_DURATION);
+
+    return () => {
+      clearTimeout(timer);
+    };
+  }, [pendingIds]);
+
+  if (!deletion) {
+    return null;
+  }
+
+  function handleUndo() {
+    restore({ id: deletion.eventId });
+    // older deletions can still be restored from the trash
+    setDismissedIds((prevIds) => [
+      ...prevIds,
+      ...pendingDeletions.map((item) => item.id),
+    ]);
+  }
+
+  return (
+    <div id="snackbar" role="status">
+      <p>
+        {deletion.title ? `"${deletion.title}" was deleted.` : "Event deleted."}
+      </p>
+      <button className="button-text" onClick={handleUndo}>
+        Undo
+      </button>
+    </div>
+  );
+}
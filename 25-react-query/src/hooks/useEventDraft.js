@@ -0,0 +1,159 @@
+import { useEffect, useRef, useState } from "react";
+import { onlineManager, useMutation, useQuery } from "@tanstack/react-query";
+
+import { deleteEventDraft, queryClient, saveEventDraft } from "../util/http.js";
+import { eventDraftsQuery } from "../util/queries.js";
+
+const STORAGE_KEY = "event-draft";
+// the backend copy is only updated once the user stopped typing for a moment
+const REMOTE_SAVE_DELAY = 1500;
+
+export const EMPTY_DRAFT_DATA = {
+  title: "",
+  description: "",
+  capacity: "",
+  date: "",
+  time: "",
+  recurrence: null,
+  location: "",
+  lat: "",
+  lng: "",
+  image: undefined,
+};
+
+// { id, data, step, updatedAt } - id is set once the draft was saved on the backend
+function readStoredDraft() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY));
+  } catch {
+    return null;
+  }
+}
+
+function writeStoredDraft(draft) {
+  localStorage.setItem(
+    STORAGE_KEY,
+    JSON.stringify({ ...draft, updatedAt: new Date().toISOString() })
+  );
+}
+
+function removeStoredDraft() {
+  localStorage.removeItem(STORAGE_KEY);
+}
+
+// keeps the draft of the creation wizard : every change is stored in localStorage right away
+// and (while online) on the backend, so the draft can be continued on another device
+export function useEventDraft() {
+  // a draft left over from an earlier visit, the user decides whether to continue it
+  const [storedDraft, setStoredDraft] = useState(readStoredDraft);
+  const [draft, setDraft] = useState({ data: EMPTY_DRAFT_DATA, step: 0 });
+  const [isTouched, setIsTouched] = useState(false);
+  const lastSaved = useRef();
+
+  // the drafts saved on the backend, e.g. started on another device
+  const { data: savedDrafts } = useQuery(eventDraftsQuery());
+
+  const {
+    mutate: saveRemote,
+    isPending: isSaving,
+    isError: hasSaveError,
+    data: savedDraft,
+  } = useMutation({
+    mutationKey: ["event-drafts"],
+    mutationFn: saveEventDraft,
+    // only a successful save counts, after an error the effect below saves the draft again
+    onSuccess: (savedDraft, { draft: content }) => {
+      lastSaved.current = JSON.stringify(content);
+      setDraft((prevDraft) => ({ ...prevDraft, id: savedDraft.id }));
+    },
+  });
+
+  useEffect(() => {
+    if (isTouched) {
+      writeStoredDraft(draft);
+    }
+  }, [draft, isTouched]);
+
+  useEffect(() => {
+    // only one save at a time, otherwise a new draft could be created twice
+    if (!isTouched || isSaving || !onlineManager.isOnline()) {
+      return;
+    }
+
+    const content = JSON.stringify({ data: draft.data, step: draft.step });
+    if (content === lastSaved.current) {
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      saveRemote({
+        id: draft.id,
+        draft: { data: draft.data, step: draft.step },
+      });
+    }, REMOTE_SAVE_DELAY);
+
+    return () => {
+      clearTimeout(timer);
+    };
+  }, [draft, isTouched, isSaving, saveRemote]);
+
+  function updateData(fields) {
+    setIsTouched(true);
+    setDraft((prevDraft) => ({
+      ...prevDraft,
+      data: { ...prevDraft.data, ...fields },
+    }));
+  }
+
+  function setStep(step) {
+    setIsTouched(true);
+    setDraft((prevDraft) => ({ ...prevDraft, step }));
+  }
+
+  // continues a draft from localStorage or from the backend (e.g. opened on another device)
+  function restore({ id, data, step }) {
+    lastSaved.current = JSON.stringify({ data, step });
+    setStoredDraft(null);
+    setIsTouched(true);
+    setDraft({ id, data: { ...EMPTY_DRAFT_DATA, ...data }, step });
+  }
+
+  // removes the local and the backend copy, e.g. once the event was created
+  function discard(draftToDiscard = draft) {
+    removeStoredDraft();
+    setStoredDraft(null);
+
+    if (draftToDiscard.id) {
+      // the draft isn't offered anymore, even before the backend deleted it
+      queryClient.setQueryData(eventDraftsQuery().queryKey, (drafts) =>
+        drafts?.filter((item) => item.id !== draftToDiscard.id)
+      );
+      // a draft that can't be deleted is only a leftover, so errors are ignored
+      deleteEventDraft({ id: draftToDiscard.id })
+        .catch(() => {})
+        .finally(() => {
+          queryClient.invalidateQueries({
+            queryKey: eventDraftsQuery().queryKey,
+          });
+        });
+    }
+  }
+
+  // offered until the user starts working on a draft, the local draft is already offered as storedDraft
+  const otherDrafts = isTouched
+    ? []
+    : (savedDrafts ?? []).filter((item) => item.id !== storedDraft?.id);
+
+  return {
+    draft,
+    storedDraft,
+    otherDrafts,
+    updateData,
+    setStep,
+    restore,
+    discard,
+    isSaving,
+    hasSaveError,
+    savedAt: savedDraft?.updatedAt,
+  };
+}
@@ -0,0 +1,105 @@
+import { useMutation } from "@tanstack/react-query";
+
+import {
+  deleteEvent,
+  queryClient,
+  restoreEvent,
+  revertEvent,
+  updateEvent,
+} from "../util/http.js";
+import {
+  removeEventFromCache,
+  restoreEventQueries,
+  snapshotEventQueries,
+  updateEventInCache,
+} from "../util/events-cache.js";
+
+// the mutations are optimistic : the cache is changed before the server responds,
+// rolled back if the request fails and refetched once it is settled.
+// failed mutations are reported by <MutationErrorToast />, which reads meta.errorTitle
+
+export function useUpdateEvent() {
+  return useMutation({
+    mutationKey: ["events", "update"],
+    mutationFn: updateEvent,
+    meta: { errorTitle: "Failed to update event" },
+    // React query passes the data which we passed to mutate
+    onMutate: async ({ id, event }) => {
+      const snapshot = await snapshotEventQueries();
+      updateEventInCache(id, event);
+      // the returned value becomes the context of onError and onSettled
+      return { snapshot };
+    },
+    onError: (error, data, context) => {
+      restoreEventQueries(context.snapshot);
+    },
+    onSettled: () => {
+      // fetch the latest data from the backend
+      queryClient.invalidateQueries({ queryKey: ["events"] });
+    },
+  });
+}
+
+export function useDeleteEvent() {
+  return useMutation({
+    mutationKey: ["events", "delete"],
+    mutationFn: deleteEvent,
+    meta: { errorTitle: "Failed to delete event" },
+    onMutate: async ({ id }) => {
+      const snapshot = await snapshotEventQueries();
+      removeEventFromCache(id);
+      return { snapshot };
+    },
+    onError: (error, data, context) => {
+      restoreEventQueries(context.snapshot);
+    },
+    onSuccess: (response, { id }) => {
+      // the event doesn't exist anymore, refetching its details would only lead to a 404
+      queryClient.removeQueries({ queryKey: ["events", { id }], exact: true });
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: ["events"] });
+      queryClient.invalidateQueries({ queryKey: ["events-trash"] });
+    },
+  });
+}
+
+// deleted events stay in the trash for a while and can be restored from there (or via "Undo")
+export function useRestoreEvent() {
+  return useMutation({
+    mutationKey: ["events", "restore"],
+    mutationFn: restoreEvent,
+    meta: { errorTitle: "Failed to restore event" },
+    onMutate: async ({ id }) => {
+      await queryClient.cancelQueries({ queryKey: ["events-trash"] });
+      const trashedEvents = queryClient.getQueryData(["events-trash"]);
+      queryClient.setQueryData(["events-trash"], (events) =>
+        events?.filter((event) => event.id !== id)
+      );
+      return { trashedEvents };
+    },
+    onError: (error, data, context) => {
+      queryClient.setQueryData(["events-trash"], context.trashedEvents);
+    },
+    onSettled: () => {
+      // the restored event may belong into any list, so they are refetched
+      queryClient.invalidateQueries({ queryKey: ["events"] });
+      queryClient.invalidateQueries({ queryKey: ["events-trash"] });
+    },
+  });
+}
+
+// not optimistic : the reverted data is only known once the backend responds
+export function useRevertEvent() {
+  return useMutation({
+    mutationKey: ["events", "revert"],
+    mutationFn: revertEvent,
+    meta: { errorTitle: "Failed to revert event" },
+    onSuccess: (event, { id }) => {
+      updateEventInCache(id, event);
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: ["events"] });
+    },
+  });
+}
@@ -0,0 +1,203 @@
+// the backend URL can be changed via VITE_API_URL in .env.local
+export const API_URL = import.meta.env.VITE_API_URL ?? "http://localhost:3000";
+
+const DEFAULT_TIMEOUT = 10000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY = 300;
+
+// only requests which can safely be sent twice are retried
+const RETRYABLE_METHODS = ["GET", "HEAD"];
+const RETRYABLE_STATUS_CODES = [408, 502, 503, 504];
+
+// every failed request is rejected with an HttpError
+// code : the HTTP status code (0 if the server couldn't be reached)
+// info : the parsed response body, e.g. { message, errors }
+export class HttpError extends Error {
+  constructor(message, code, info) {
+    super(message);
+    this.name = "HttpError";
+    this.code = code;
+    this.info = info;
+  }
+}
+
+function buildUrl(baseUrl, path, params) {
+  const url = new URL(path, baseUrl);
+
+  // only send the parameters that are actually set
+  for (const [key, value] of Object.entries(params ?? {})) {
+    if (value !== undefined && value !== null && value !== "") {
+      url.searchParams.set(key, value);
+    }
+  }
+
+  return url.toString();
+}
+
+async function parseBody(response) {
+  if (response.status === 204) {
+    return null;
+  }
+
+  const contentType = response.headers.get("Content-Type") ?? "";
+
+  if (contentType.includes("application/json")) {
+    return response.json();
+  }
+
+  const text = await response.text();
+  return text ? { message: text } : null;
+}
+
+function wait(delay) {
+  return new Promise((resolve) => setTimeout(resolve, delay));
+}
+
+function isRetryable(error, method) {
+  return (
+    RETRYABLE_METHODS.includes(method) &&
+    error instanceof HttpError &&
+    (error.code === 0 || RETRYABLE_STATUS_CODES.includes(error.code))
+  );
+}
+
+export function createApiClient({
+  baseUrl = API_URL,
+  timeout = DEFAULT_TIMEOUT,
+  retries = DEFAULT_RETRIES,
+  retryDelay = DEFAULT_RETRY_DELAY,
+} = {}) {
+  const requestInterceptors = [];
+  const responseInterceptors = [];
+
+  // adds an interceptor and returns a function which removes it again
+  function addInterceptor(list, interceptor) {
+    list.push(interceptor);
+    return () => {
+      list.splice(list.indexOf(interceptor), 1);
+    };
+  }
+
+  async function send(config, errorMessage) {
+    // the request is aborted if it takes too long or if the caller (e.g. react query) aborts it
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, config.timeout);
+    const abort = () => controller.abort();
+    config.signal?.addEventListener("abort", abort);
+
+    let response;
+
+    try {
+      response = await fetch(config.url, {
+        method: config.method,
+        headers: config.headers,
+        body: config.body,
+        signal: controller.signal,
+      });
+    } catch (error) {
+      if (timedOut) {
+        throw new HttpError(errorMessage, 408, {
+          message: "The server took too long to respond.",
+        });
+      }
+
+      // aborted by the caller, react query expects the original AbortError
+      if (config.signal?.aborted) {
+        throw error;
+      }
+
+      throw new HttpError(errorMessage, 0, {
+        message: "The server could not be reached.",
+      });
+    } finally {
+      clearTimeout(timer);
+      config.signal?.removeEventListener("abort", abort);
+    }
+
+    for (const interceptor of responseInterceptors) {
+      response = (await interceptor(response, config)) ?? response;
+    }
+
+    const data = await parseBody(response);
+
+    if (!response.ok) {
+      throw new HttpError(errorMessage, response.status, data);
+    }
+
+    return data;
+  }
+
+  // options : method, params (query string), body (sent as JSON), signal, headers,
+  // timeout, retries and errorMessage (the message of the thrown HttpError)
+  async function request(path, options = {}) {
+    const {
+      method = "GET",
+      params,
+      body,
+      signal,
+      headers,
+      errorMessage = "An error occurred while sending the request",
+    } = options;
+
+    let config = {
+      url: buildUrl(baseUrl, path, params),
+      method,
+      headers: {
+        ...(body !== undefined && { "Content-Type": "application/json" }),
+        ...headers,
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal,
+      timeout: options.timeout ?? timeout,
+    };
+
+    for (const interceptor of requestInterceptors) {
+      config = (await interceptor(config)) ?? config;
+    }
+
+    const maxRetries = options.retries ?? retries;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await send(config, errorMessage);
+      } catch (error) {
+        if (
+          attempt >= maxRetries ||
+          signal?.aborted ||
+          !isRetryable(error, method)
+        ) {
+          throw error;
+        }
+
+        // exponential backoff : 300ms, 600ms, 1200ms, ...
+        await wait(retryDelay * 2 ** attempt);
+      }
+    }
+  }
+
+  return {
+    request,
+    get: (path, options) => request(path, { ...options, method: "GET" }),
+    post: (path, body, options) =>
+      request(path, { ...options, method: "POST", body }),
+    put: (path, body, options) =>
+      request(path, { ...options, method: "PUT", body }),
+    delete: (path, options) => request(path, { ...options, method: "DELETE" }),
+    interceptors: {
+      // interceptor(config) may return a changed config (url, method, headers, body, ...)
+      request: {
+        use: (interceptor) => addInterceptor(requestInterceptors, interceptor),
+      },
+      // interceptor(response, config) runs before the status is checked, it may return another response or throw
+      response: {
+        use: (interceptor) => addInterceptor(responseInterceptors, interceptor),
+      },
+    },
+  };
+}
+
+export const apiClient = createApiClient();
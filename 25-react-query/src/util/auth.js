@@ -0,0 +1,125 @@
+import { useSyncExternalStore } from "react";
+import { redirect } from "react-router-dom";
+
+// the token, the logged in user and the expiration date of the token are kept in localStorage
+const TOKEN_KEY = "token";
+const USER_KEY = "user";
+const EXPIRATION_KEY = "expiration";
+// the backend issues tokens which are valid for one hour
+const TOKEN_DURATION = 60 * 60 * 1000;
+
+const listeners = new Set();
+
+function notify() {
+  for (const listener of listeners) {
+    listener();
+  }
+}
+
+function readUser() {
+  try {
+    return JSON.parse(localStorage.getItem(USER_KEY));
+  } catch {
+    return null;
+  }
+}
+
+// returns null if there is no token or if it expired
+export function getAuthToken() {
+  const token = localStorage.getItem(TOKEN_KEY);
+  const expiration = localStorage.getItem(EXPIRATION_KEY);
+
+  if (!token || new Date(expiration).getTime() <= Date.now()) {
+    return null;
+  }
+
+  return token;
+}
+
+// { id, email } of the logged in user, or null
+export function getAuthUser() {
+  return getAuthToken() ? readUser() : null;
+}
+
+export function setAuth({ token, user }) {
+  localStorage.setItem(TOKEN_KEY, token);
+  localStorage.setItem(USER_KEY, JSON.stringify(user));
+  localStorage.setItem(
+    EXPIRATION_KEY,
+    new Date(Date.now() + TOKEN_DURATION).toISOString()
+  );
+  notify();
+}
+
+export function clearAuth() {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(USER_KEY);
+  localStorage.removeItem(EXPIRATION_KEY);
+  notify();
+}
+
+// the user object is cached, so useSyncExternalStore gets the same snapshot until the storage changes
+let cachedUser = null;
+let cachedUserJson = null;
+
+function getUserSnapshot() {
+  const user = getAuthUser();
+  const json = JSON.stringify(user);
+
+  if (json !== cachedUserJson) {
+    cachedUserJson = json;
+    cachedUser = user;
+  }
+
+  return cachedUser;
+}
+
+function subscribe(listener) {
+  listeners.add(listener);
+  // a login or logout in another tab changes the storage as well
+  window.addEventListener("storage", listener);
+
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener("storage", listener);
+  };
+}
+
+// the logged in user ({ id, email }) or null, components rerender on login and logout
+export function useAuthUser() {
+  return useSyncExternalStore(subscribe, getUserSnapshot);
+}
+
+// events created before there were user accounts have no owner, every logged in user may change them
+export function canEdit(event, user) {
+  return Boolean(user) && (!event.ownerId || event.ownerId === user.id);
+}
+
+export function getLoginUrl(redirectTo) {
+  return `/auth?mode=login&redirect=${encodeURIComponent(redirectTo)}`;
+}
+
+// the router registers its navigate function, until then the page is reloaded
+let navigateToLogin = (url) => window.location.assign(url);
+
+export function setLoginNavigation(navigate) {
+  navigateToLogin = navigate;
+}
+
+export function redirectToLogin() {
+  const { pathname, search } = window.location;
+
+  if (pathname !== "/auth") {
+    navigateToLogin(getLoginUrl(pathname + search));
+  }
+}
+
+// protects the routes which require a logged in user
+export function checkAuthLoader({ request }) {
+  if (!getAuthToken()) {
+    const { pathname, search } = new URL(request.url);
+    return redirect(getLoginUrl(pathname + search));
+  }
+
+  return null;
+}
@@ -0,0 +1,45 @@
+import { API_URL } from "./api-client.js";
+import { queryClient } from "./http.js";
+import { removeEventFromCache, updateEventInCache } from "./events-cache.js";
+
+// detail queries use ["events", { id }], every other ["events", ...] query holds a list
+function isEventListQuery(query) {
+  return query.queryKey[0] === "events" && !query.queryKey[1]?.id;
+}
+
+// listens to GET /events/stream and keeps the cached events in sync with changes made by other users
+// returns a function that closes the connection (e.g. as useEffect cleanup)
+export function subscribeToEventChanges() {
+  const eventSource = new EventSource(`${API_URL}/events/stream`);
+
+  // a new event may belong into any list (depending on search, filters and sorting),
+  // so the lists are refetched instead of patched
+  eventSource.addEventListener("created", () => {
+    queryClient.invalidateQueries({ predicate: isEventListQuery });
+  });
+
+  eventSource.addEventListener("updated", (message) => {
+    const event = JSON.parse(message.data);
+    updateEventInCache(event.id, event);
+  });
+
+  eventSource.addEventListener("deleted", (message) => {
+    const { id } = JSON.parse(message.data);
+    removeEventFromCache(id);
+    // an open details page will refetch and show that the event doesn't exist anymore
+    queryClient.invalidateQueries({
+      queryKey: ["events", { id }],
+      exact: true,
+    });
+    queryClient.invalidateQueries({ queryKey: ["events-trash"] });
+  });
+
+  eventSource.addEventListener("restored", () => {
+    queryClient.invalidateQueries({ predicate: isEventListQuery });
+    queryClient.invalidateQueries({ queryKey: ["events-trash"] });
+  });
+
+  return () => {
+    eventSource.close();
+  };
+}
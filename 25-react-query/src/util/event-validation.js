@@ -0,0 +1,82 @@
+// client side checks for the steps of the creation wizard, the messages match the ones of the backend
+// (see backend/util/validation.js), which validates everything again when the event is created
+
+function isEmpty(value) {
+  return value === undefined || value === null || String(value).trim() === "";
+}
+
+function checkLength(label, value, min, max) {
+  if (isEmpty(value)) {
+    return `${label} is required.`;
+  }
+
+  const length = value.trim().length;
+  if (length < min || length > max) {
+    return `${label} must be between ${min} and ${max} characters long.`;
+  }
+}
+
+function checkCoordinate(label, value, max, other) {
+  if (isEmpty(value)) {
+    return isEmpty(other)
+      ? undefined
+      : "Please enter both latitude and longitude.";
+  }
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || Math.abs(number) > max) {
+    return `${label} must be a number between -${max} and ${max}.`;
+  }
+
+  if (isEmpty(other)) {
+    return "Please enter both latitude and longitude.";
+  }
+}
+
+const RULES = {
+  title: (data) => checkLength("Title", data.title, 3, 100),
+  description: (data) => checkLength("Description", data.description, 10, 2000),
+  capacity: (data) => {
+    if (isEmpty(data.capacity)) {
+      return;
+    }
+
+    const number = Number(data.capacity);
+    if (!Number.isInteger(number) || number < 1 || number > 10000) {
+      return "Capacity must be a whole number between 1 and 10000.";
+    }
+  },
+  date: (data) => (isEmpty(data.date) ? "Date is required." : undefined),
+  time: (data) => (isEmpty(data.time) ? "Time is required." : undefined),
+  recurrence: (data) => {
+    if (!data.recurrence) {
+      return;
+    }
+
+    if (isEmpty(data.recurrence.until)) {
+      return "Repeating events need a valid end date (YYYY-MM-DD).";
+    }
+
+    if (data.recurrence.until <= data.date) {
+      return "The end date must be after the date of the event.";
+    }
+  },
+  location: (data) => checkLength("Location", data.location, 3, 200),
+  lat: (data) => checkCoordinate("Latitude", data.lat, 90, data.lng),
+  lng: (data) => checkCoordinate("Longitude", data.lng, 180, data.lat),
+  image: (data) => (isEmpty(data.image) ? "Image is required." : undefined),
+};
+
+// returns an object with an error message for every invalid field, or an empty object
+export function validateEventFields(data, fields) {
+  const errors = {};
+
+  for (const field of fields) {
+    const message = RULES[field]?.(data);
+    if (message) {
+      errors[field] = message;
+    }
+  }
+
+  return errors;
+}
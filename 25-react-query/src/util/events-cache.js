@@ -0,0 +1,65 @@
+import { queryClient } from "./http.js";
+
+// the fields of an event that are part of the event lists (see GET /events)
+const LIST_FIELDS = ["id", "title", "image", "date", "location", "lat", "lng"];
+
+// event lists are cached in two shapes :
+// useQuery stores { events, pagination }, useInfiniteQuery stores { pages: [{ events, pagination }] }
+// detail queries (["events", { id }]) store the event itself and are left untouched
+function mapEventLists(data, mapEvents) {
+  if (data?.pages) {
+    return {
+      ...data,
+      pages: data.pages.map((page) => ({
+        ...page,
+        events: mapEvents(page.events),
+      })),
+    };
+  }
+
+  if (data?.events) {
+    return { ...data, events: mapEvents(data.events) };
+  }
+
+  return data;
+}
+
+function pickListFields(event) {
+  return Object.fromEntries(
+    LIST_FIELDS.filter((field) => field in event).map((field) => [
+      field,
+      event[field],
+    ])
+  );
+}
+
+// stops running fetches (so they can't overwrite our changes) and returns the cached data for a rollback
+export async function snapshotEventQueries() {
+  await queryClient.cancelQueries({ queryKey: ["events"] });
+  return queryClient.getQueriesData({ queryKey: ["events"] });
+}
+
+export function restoreEventQueries(snapshot) {
+  for (const [queryKey, data] of snapshot) {
+    queryClient.setQueryData(queryKey, data);
+  }
+}
+
+export function updateEventInCache(id, event) {
+  queryClient.setQueryData(["events", { id }], (previousEvent) =>
+    previousEvent ? { ...previousEvent, ...event, id } : previousEvent
+  );
+
+  const listFields = pickListFields(event);
+  queryClient.setQueriesData({ queryKey: ["events"] }, (data) =>
+    mapEventLists(data, (events) =>
+      events.map((item) => (item.id === id ? { ...item, ...listFields } : item))
+    )
+  );
+}
+
+export function removeEventFromCache(id) {
+  queryClient.setQueriesData({ queryKey: ["events"] }, (data) =>
+    mapEventLists(data, (events) => events.filter((item) => item.id !== id))
+  );
+}
@@ -1,118 +1,283 @@
 import { QueryClient } from "@tanstack/react-query";
 
+import { API_URL, HttpError, apiClient } from "./api-client.js";
+import { clearAuth, getAuthToken, redirectToLogin } from "./auth.js";
+
 export const queryClient = new QueryClient();
 
-export async function fetchEvents({ signal, searchTerm, max }) {
-  console.log(searchTerm);
-  let url = "http://localhost:3000/events";
+// every request is sent with the token of the logged in user
+apiClient.interceptors.request.use((config) => {
+  const token = getAuthToken();
 
-  if (searchTerm && max) {
-    url += "?search=" + searchTerm + "&max=" + max;
-  } else if (searchTerm) {
-    url += "?search=" + searchTerm;
-  } else if (max) {
-    url += "?max=" + max;
+  if (token) {
+    return {
+      ...config,
+      headers: { ...config.headers, Authorization: `Bearer ${token}` },
+    };
   }
+});
 
-  const response = await fetch(url, { signal: signal });
-
-  if (!response.ok) {
-    const error = new Error("An error occurred while fetching the events");
-    error.code = response.status;
-    error.info = await response.json();
-    throw error;
+// the token expired or is invalid, the user has to log in again
+apiClient.interceptors.response.use((response) => {
+  if (response.status === 401) {
+    clearAuth();
+    redirectToLogin();
   }
+});
 
-  const { events } = await response.json();
+// mode : "login" or "signup", resolves with { token, user }
+export function authenticate({ mode, credentials }) {
+  return apiClient.post(`/${mode}`, credentials, {
+    errorMessage:
+      mode === "login"
+        ? "An error occurred while logging in"
+        : "An error occurred while creating the user",
+  });
+}
 
-  return events;
+// options : max, page, limit, sort, order, from, to, location, upcoming
+export function fetchEvents({ signal, searchTerm, ...options }) {
+  // { events, pagination } - pagination holds the total count and the next / prev pages
+  return apiClient.get("/events", {
+    params: { search: searchTerm, ...options },
+    signal,
+    errorMessage: "An error occurred while fetching the events",
+  });
 }
 
 export async function createNewEvent(eventData) {
-  const response = await fetch(`http://localhost:3000/events`, {
-    method: "POST",
-    body: JSON.stringify(eventData),
-    headers: {
-      "Content-Type": "application/json",
-    },
+  const { event } = await apiClient.post("/events", eventData, {
+    errorMessage: "An error occurred while creating the event",
   });
 
-  if (!response.ok) {
-    const error = new Error("An error occurred while creating the event");
-    error.code = response.status;
-    error.info = await response.json();
-    throw error;
-  }
-
-  const { event } = await response.json();
-
   return event;
 }
 
 export async function fetchSelectableImages({ signal }) {
-  const response = await fetch(`http://localhost:3000/events/images`, {
+  const { images } = await apiClient.get("/events/images", {
     signal,
+    errorMessage: "An error occurred while fetching the images",
   });
 
-  if (!response.ok) {
-    const error = new Error("An error occurred while fetching the images");
-    error.code = response.status;
-    error.info = await response.json();
-    throw error;
-  }
+  return images;
+}
 
-  const { images } = await response.json();
+// fetch() can't report the upload progress, so XMLHttpRequest is used here instead of the api client
+export function uploadEventImage({ file, caption, onProgress, signal }) {
+  return new Promise((resolve, reject) => {
+    const formData = new FormData();
+    formData.append("image", file);
+    if (caption) {
+      formData.append("caption", caption);
+    }
 
-  return images;
+    const request = new XMLHttpRequest();
+    request.open("POST", `${API_URL}/events/images`);
+    request.responseType = "json";
+
+    const token = getAuthToken();
+    if (token) {
+      request.setRequestHeader("Authorization", `Bearer ${token}`);
+    }
+
+    request.upload.addEventListener("progress", (event) => {
+      if (event.lengthComputable) {
+        onProgress?.(Math.round((event.loaded / event.total) * 100));
+      }
+    });
+
+    request.addEventListener("load", () => {
+      if (request.status === 401) {
+        clearAuth();
+        redirectToLogin();
+      }
+
+      if (request.status < 200 || request.status >= 300) {
+        reject(
+          new HttpError(
+            "An error occurred while uploading the image",
+            request.status,
+            request.response
+          )
+        );
+        return;
+      }
+
+      resolve(request.response.image);
+    });
+
+    request.addEventListener("error", () => {
+      reject(
+        new HttpError("An error occurred while uploading the image", 0, {
+          message: "The server could not be reached.",
+        })
+      );
+    });
+
+    request.addEventListener("abort", () => {
+      reject(new DOMException("The upload was aborted", "AbortError"));
+    });
+
+    signal?.addEventListener("abort", () => request.abort());
+
+    request.send(formData);
+  });
 }
 
 export async function fetchEvent({ id, signal }) {
-  const response = await fetch(`http://localhost:3000/events/${id}`, {
+  const { event } = await apiClient.get(`/events/${encodeURIComponent(id)}`, {
     signal,
+    errorMessage: "An error occurred while fetching the event",
   });
 
-  if (!response.ok) {
-    const error = new Error("An error occurred while fetching the event");
-    error.code = response.status;
-    error.info = await response.json();
-    throw error;
-  }
+  return event;
+}
+
+export function deleteEvent({ id }) {
+  return apiClient.delete(`/events/${encodeURIComponent(id)}`, {
+    errorMessage: "An error occurred while deleting the event",
+  });
+}
+
+// [{ id, action, author, createdAt, version, changes: [{ field, from, to }] }], the newest first
+// author is null unless the logged in user owns the event or made the change
+export async function fetchEventHistory({ id, signal }) {
+  const { revisions } = await apiClient.get(
+    `/events/${encodeURIComponent(id)}/history`,
+    {
+      signal,
+      errorMessage: "An error occurred while fetching the history",
+    }
+  );
+
+  return revisions;
+}
 
-  const { event } = await response.json();
+// version is the version of the event the user saw, the backend rejects the revert if it changed since then
+export async function revertEvent({ id, revisionId, version }) {
+  const { event } = await apiClient.post(
+    `/events/${encodeURIComponent(id)}/history/${encodeURIComponent(revisionId)}/revert`,
+    { version },
+    { errorMessage: "An error occurred while reverting the event" }
+  );
 
   return event;
 }
 
-export async function deleteEvent({ id }) {
-  const response = await fetch(`http://localhost:3000/events/${id}`, {
-    method: "DELETE",
+// { events } - the deleted events, each with its deletedAt and purgeAt date
+export async function fetchTrashedEvents({ signal }) {
+  const { events } = await apiClient.get("/events/trash", {
+    signal,
+    errorMessage: "An error occurred while fetching the deleted events",
   });
 
-  if (!response.ok) {
-    const error = new Error("An error occurred while deleting the event");
-    error.code = response.status;
-    error.info = await response.json();
-    throw error;
-  }
+  return events;
+}
+
+export async function restoreEvent({ id }) {
+  const { event } = await apiClient.post(
+    `/events/${encodeURIComponent(id)}/restore`,
+    undefined,
+    { errorMessage: "An error occurred while restoring the event" }
+  );
+
+  return event;
+}
 
-  return response.json();
+export function updateEvent({ id, event }) {
+  return apiClient.put(
+    `/events/${encodeURIComponent(id)}`,
+    { event },
+    { errorMessage: "An error occurred while updating the event" }
+  );
 }
 
-export async function updateEvent({ id, event }) {
-  const response = await fetch(`http://localhost:3000/events/${id}`, {
-    method: "PUT",
-    body: JSON.stringify({ event }),
-    headers: {
-      "Content-Type": "application/json",
-    },
+export function registerForEvent({ id, registration }) {
+  // { registration, attendeeCount, seatsLeft } - the registration contains the cancelKey which is needed to cancel it later
+  return apiClient.post(
+    `/events/${encodeURIComponent(id)}/registrations`,
+    { registration },
+    { errorMessage: "An error occurred while registering" }
+  );
+}
+
+export function cancelRegistration({ id, email, cancelKey }) {
+  // { attendeeCount, seatsLeft }
+  return apiClient.delete(`/events/${encodeURIComponent(id)}/registrations`, {
+    body: { registration: { email, cancelKey } },
+    errorMessage: "An error occurred while cancelling the registration",
   });
+}
 
-  if (!response.ok) {
-    const error = new Error("An error occurred while updating the event");
-    error.code = response.status;
-    error.info = await response.json();
-    throw error;
-  }
+export function fetchEventComments({ id, page, signal }) {
+  // { comments, pagination } - the newest comments come first
+  return apiClient.get(`/events/${encodeURIComponent(id)}/comments`, {
+    params: { page },
+    signal,
+    errorMessage: "An error occurred while fetching the comments",
+  });
+}
+
+export async function postEventComment({ id, comment }) {
+  // the returned comment contains the deleteKey which is needed to delete it later
+  const { comment: newComment } = await apiClient.post(
+    `/events/${encodeURIComponent(id)}/comments`,
+    { comment },
+    { errorMessage: "An error occurred while posting the comment" }
+  );
 
-  return response.json();
+  return newComment;
+}
+
+export function deleteEventComment({ id, commentId, deleteKey }) {
+  return apiClient.delete(
+    `/events/${encodeURIComponent(id)}/comments/${encodeURIComponent(commentId)}`,
+    {
+      body: { comment: { deleteKey } },
+      errorMessage: "An error occurred while deleting the comment",
+    }
+  );
+}
+
+// drafts of new events : { id, data, step, updatedAt }
+// without an id a new draft is created, otherwise the existing draft is overwritten
+export async function saveEventDraft({ id, draft }) {
+  const options = { errorMessage: "An error occurred while saving the draft" };
+  const { draft: savedDraft } = id
+    ? await apiClient.put(
+        `/events/drafts/${encodeURIComponent(id)}`,
+        { draft },
+        options
+      )
+    : await apiClient.post("/events/drafts", { draft }, options);
+
+  return savedDraft;
+}
+
+// the drafts of the logged in user, the most recently changed draft first
+export async function fetchEventDrafts({ signal }) {
+  const { drafts } = await apiClient.get("/events/drafts", {
+    signal,
+    errorMessage: "An error occurred while fetching the drafts",
+  });
+
+  return drafts;
+}
+
+export async function fetchEventDraft({ id, signal }) {
+  const { draft } = await apiClient.get(
+    `/events/drafts/${encodeURIComponent(id)}`,
+    {
+      signal,
+      errorMessage: "An error occurred while fetching the draft",
+    }
+  );
+
+  return draft;
+}
+
+export function deleteEventDraft({ id }) {
+  return apiClient.delete(`/events/drafts/${encodeURIComponent(id)}`, {
+    errorMessage: "An error occurred while deleting the draft",
+  });
 }
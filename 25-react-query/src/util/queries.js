@@ -0,0 +1,71 @@
+import { infiniteQueryOptions, queryOptions } from "@tanstack/react-query";
+
+import {
+  fetchEvent,
+  fetchEventDraft,
+  fetchEventDrafts,
+  fetchEventComments,
+  fetchEventHistory,
+  fetchSelectableImages,
+  fetchTrashedEvents,
+} from "./http.js";
+
+// query options are shared by the components and the route loaders,
+// so both read and write the very same cache entries
+
+export function eventQuery(id) {
+  return queryOptions({
+    queryKey: ["events", { id }],
+    queryFn: ({ signal }) => fetchEvent({ id, signal }),
+    // data fetched by a loader (or on hover) is still fresh when the page renders
+    staleTime: 10000,
+  });
+}
+
+// the history lives below the event, so it is refetched whenever the event is invalidated
+export function eventHistoryQuery(id) {
+  return queryOptions({
+    queryKey: ["events", { id }, "history"],
+    queryFn: ({ signal }) => fetchEventHistory({ id, signal }),
+  });
+}
+
+export function imagesQuery() {
+  return queryOptions({
+    queryKey: ["events-images"],
+    queryFn: fetchSelectableImages,
+    staleTime: 60000,
+  });
+}
+
+// comments don't live under ["events"], the event list helpers (see events-cache.js) only expect events there
+export function eventCommentsQuery(id) {
+  return infiniteQueryOptions({
+    queryKey: ["event-comments", { id }],
+    queryFn: ({ signal, pageParam }) =>
+      fetchEventComments({ id, page: pageParam, signal }),
+    initialPageParam: 1,
+    getNextPageParam: (lastPage) => lastPage.pagination.nextPage ?? undefined,
+  });
+}
+
+export function trashQuery() {
+  return queryOptions({
+    queryKey: ["events-trash"],
+    queryFn: fetchTrashedEvents,
+  });
+}
+
+export function eventDraftsQuery() {
+  return queryOptions({
+    queryKey: ["event-drafts"],
+    queryFn: fetchEventDrafts,
+  });
+}
+
+export function eventDraftQuery(id) {
+  return queryOptions({
+    queryKey: ["event-drafts", { id }],
+    queryFn: ({ signal }) => fetchEventDraft({ id, signal }),
+  });
+}
@@ -0,0 +1,82 @@
+import { createAsyncStoragePersister } from "@tanstack/query-async-storage-persister";
+import { del, get, set } from "idb-keyval";
+
+import {
+  createNewEvent,
+  deleteEvent,
+  queryClient,
+  restoreEvent,
+  revertEvent,
+  updateEvent,
+} from "./http.js";
+
+const HOUR = 1000 * 60 * 60;
+
+// how long cached data may be restored after a reload, configurable via .env.local
+export const CACHE_MAX_AGE =
+  Number(import.meta.env.VITE_CACHE_MAX_AGE_HOURS ?? 24) * HOUR;
+
+// queries must not be garbage collected before they could be persisted
+queryClient.setDefaultOptions({
+  queries: { gcTime: CACHE_MAX_AGE },
+});
+
+// mutations created while offline are paused and persisted together with the queries.
+// after a reload they only know their key, so these defaults tell react query how to replay them
+queryClient.setMutationDefaults(["events", "create"], {
+  mutationFn: createNewEvent,
+  meta: { errorTitle: "Failed to create event" },
+  onSettled: () => queryClient.invalidateQueries({ queryKey: ["events"] }),
+});
+
+queryClient.setMutationDefaults(["events", "update"], {
+  mutationFn: updateEvent,
+  meta: { errorTitle: "Failed to update event" },
+  onSettled: () => queryClient.invalidateQueries({ queryKey: ["events"] }),
+});
+
+queryClient.setMutationDefaults(["events", "delete"], {
+  mutationFn: deleteEvent,
+  meta: { errorTitle: "Failed to delete event" },
+  onSettled: () => {
+    queryClient.invalidateQueries({ queryKey: ["events"] });
+    queryClient.invalidateQueries({ queryKey: ["events-trash"] });
+  },
+});
+
+queryClient.setMutationDefaults(["events", "restore"], {
+  mutationFn: restoreEvent,
+  meta: { errorTitle: "Failed to restore event" },
+  onSettled: () => {
+    queryClient.invalidateQueries({ queryKey: ["events"] });
+    queryClient.invalidateQueries({ queryKey: ["events-trash"] });
+  },
+});
+
+queryClient.setMutationDefaults(["events", "revert"], {
+  mutationFn: revertEvent,
+  meta: { errorTitle: "Failed to revert event" },
+  onSettled: () => queryClient.invalidateQueries({ queryKey: ["events"] }),
+});
+
+// IndexedDB can store far more data than localStorage and doesn't block the main thread
+const persister = createAsyncStoragePersister({
+  storage: {
+    getItem: (key) => get(key),
+    setItem: (key, value) => set(key, value),
+    removeItem: (key) => del(key),
+  },
+  key: "react-events-cache",
+});
+
+export const persistOptions = {
+  persister,
+  maxAge: CACHE_MAX_AGE,
+  // change the buster whenever the shape of the cached data changes, old caches are discarded then
+  buster: "v1",
+};
+
+// replays the mutations which were queued while offline (called once the cache is restored)
+export function resumeQueuedMutations() {
+  return queryClient.resumePausedMutations();
+}